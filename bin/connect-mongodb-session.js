@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Exports sessions to, or imports sessions from, NDJSON.
+ *
+ *     connect-mongodb-session export --uri mongodb://127.0.0.1:27017/app > sessions.ndjson
+ *     connect-mongodb-session import --uri mongodb://127.0.0.1:27017/app --conflict newer < sessions.ndjson
+ *
+ * The `secret` for encrypted sessions comes from the
+ * CONNECT_MONGODB_SESSION_SECRET environment variable, so it doesn't end
+ * up in `ps` output or shell history.
+ */
+
+const connectMongoDBSession = require('../');
+
+const usage = 'Usage: connect-mongodb-session <export|import> --uri <uri>\n' +
+  '  [--collection <name>] [--database <name>]\n' +
+  '  [--conflict skip|overwrite|newer] [--batch-size <n>]\n' +
+  '\n' +
+  'export writes sessions to stdout, import reads them from stdin.\n' +
+  'Set CONNECT_MONGODB_SESSION_SECRET to the store\'s secret for encrypted sessions.\n';
+
+const flags = {
+  '--uri': 'uri',
+  '--collection': 'collection',
+  '--database': 'databaseName',
+  '--conflict': 'conflict',
+  '--batch-size': 'batchSize'
+};
+
+function parseArgs(argv) {
+  const ret = { command: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    const key = flags[argv[i]];
+    if (key == null || argv[i + 1] == null) {
+      throw new Error('Unknown or incomplete option ' + argv[i]);
+    }
+    ret[key] = argv[i + 1];
+  }
+  if (ret.command !== 'export' && ret.command !== 'import') {
+    throw new Error('Command must be "export" or "import"');
+  }
+  if (ret.uri == null) {
+    throw new Error('--uri is required');
+  }
+  return ret;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(error.message + '\n\n' + usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  // The store only needs a base class, not a full session middleware
+  const MongoDBStore = connectMongoDBSession({ Store: function() {} });
+  const options = { uri: args.uri };
+  for (const key of ['collection', 'databaseName']) {
+    if (args[key] != null) {
+      options[key] = args[key];
+    }
+  }
+  if (process.env.CONNECT_MONGODB_SESSION_SECRET) {
+    options.secret = process.env.CONNECT_MONGODB_SESSION_SECRET;
+  }
+  const store = new MongoDBStore(options);
+  store.on('error', () => {});
+
+  let done;
+  if (args.command === 'export') {
+    done = new Promise((resolve, reject) => {
+      const output = store.export();
+      output.on('error', reject);
+      output.on('end', resolve);
+      output.pipe(process.stdout);
+    }).then(() => {});
+  } else {
+    const importOptions = { conflict: args.conflict };
+    if (args.batchSize != null) {
+      importOptions.batchSize = parseInt(args.batchSize, 10);
+    }
+    done = store.import(process.stdin, importOptions).then(stats => {
+      process.stderr.write('Imported ' + stats.imported + ', skipped ' + stats.skipped +
+        ', expired ' + stats.expired + '\n');
+    });
+  }
+
+  done.
+    catch(error => {
+      process.stderr.write(error.message + '\n');
+      process.exitCode = 1;
+    }).
+    then(() => store.close()).
+    catch(() => {});
+}
+
+main();
@@ -1,8 +1,49 @@
 'use strict';
 
 const Archetype = require('archetype');
+const crypto = require('crypto');
 const EventEmitter = require('events').EventEmitter;
 const mongodb = require('mongodb');
+const readline = require('readline');
+const stream = require('stream');
+
+/**
+ * Built-in values for the `serialize` option. 'bson' stores the session
+ * as a subdocument, 'json' stores it as a JSON string.
+ */
+const serializeModes = ['bson', 'json'];
+
+/**
+ * Values for the `errorDetail` option, from least to most verbose.
+ * 'minimal' leaves session ids and driver messages out of error messages,
+ * 'redacted' includes them, and 'full' also includes the session that
+ * `set()` failed to store.
+ */
+const errorDetailLevels = ['minimal', 'redacted', 'full'];
+
+/**
+ * Values for the `sessionSizePolicy` option, what `set()` does with a
+ * session larger than `maxSessionSize`.
+ */
+const sessionSizePolicies = ['reject', 'warn', 'drop'];
+
+/**
+ * Driver options that `operationOptions` can set for reads and writes.
+ */
+const readOptionKeys = ['readPreference', 'readConcern', 'maxTimeMS'];
+const writeOptionKeys = ['writeConcern', 'maxTimeMS'];
+
+/**
+ * What `import()` does with a session that already exists: 'skip' keeps
+ * it, 'overwrite' replaces it, and 'newer' keeps whichever expires later.
+ */
+const importConflictModes = ['skip', 'overwrite', 'newer'];
+
+/**
+ * Values for the `ownerPolicy` option, what `set()` does when an owner
+ * gets more than `maxSessionsPerOwner` sessions.
+ */
+const ownerPolicies = ['evict-oldest', 'reject'];
 
 const OptionsType = new Archetype({
   uri: {
@@ -43,6 +84,264 @@ const OptionsType = new Archetype({
     $type: 'number',
     $required: true,
     $default: 0
+  },
+  indexes: {
+    autoCreate: {
+      $type: 'boolean',
+      $required: true,
+      $default: true
+    },
+    updateTTL: {
+      $type: 'boolean',
+      $required: true,
+      $default: false
+    },
+    uniqueId: {
+      $type: 'boolean',
+      $required: true,
+      $default: false
+    },
+    additional: {
+      $type: [Object],
+      $default: () => []
+    }
+  },
+  operationOptions: {
+    get: {
+      $type: Object,
+      $default: null
+    },
+    set: {
+      $type: Object,
+      $default: null
+    },
+    destroy: {
+      $type: Object,
+      $default: null
+    },
+    clear: {
+      $type: Object,
+      $default: null
+    },
+    admin: {
+      $type: Object,
+      $default: null
+    }
+  },
+  metadata: {
+    enabled: {
+      $type: 'boolean',
+      $required: true,
+      $default: false
+    },
+    key: {
+      $type: 'string',
+      $required: true,
+      $default: 'metadata'
+    },
+    fields: {
+      $type: Archetype.Any,
+      $default: null,
+      $validate: v => {
+        if (typeof v !== 'function') {
+          throw new Error('metadata.fields must be a function');
+        }
+      }
+    }
+  },
+  resolveNamespace: {
+    $type: Archetype.Any,
+    $default: null,
+    $validate: v => {
+      if (typeof v !== 'function') {
+        throw new Error('resolveNamespace must be a function');
+      }
+    }
+  },
+  namespaces: {
+    $type: Archetype.Any,
+    $default: null
+  },
+  absoluteTimeout: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  idleTimeout: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  touchAfter: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  serialize: {
+    $type: Archetype.Any,
+    $required: true,
+    $default: 'bson',
+    $validate: v => {
+      if (typeof v !== 'function' && serializeModes.indexOf(v) === -1) {
+        throw new Error('serialize must be a function or one of ' +
+          serializeModes.map(mode => '"' + mode + '"').join(', '));
+      }
+    }
+  },
+  unserialize: {
+    $type: Archetype.Any,
+    $default: null,
+    $validate: v => {
+      if (typeof v !== 'function') {
+        throw new Error('unserialize must be a function');
+      }
+    }
+  },
+  cacheSize: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  cacheMaxAge: {
+    $type: 'number',
+    $required: true,
+    $default: 1000
+  },
+  connectRetries: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  connectRetryDelay: {
+    $type: 'number',
+    $required: true,
+    $default: 1000
+  },
+  bufferOperations: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  bufferTimeoutMS: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  bufferMaxSize: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  missingOnError: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  partialUpdates: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  optimisticConcurrency: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  versionKey: {
+    $type: 'string',
+    $required: true,
+    $default: '__v'
+  },
+  sweepInterval: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  sweepBatchSize: {
+    $type: 'number',
+    $required: true,
+    $default: 1000
+  },
+  watch: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  watchPreImages: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  maxSessionSize: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  sessionSizePolicy: {
+    $type: 'string',
+    $required: true,
+    $default: 'reject',
+    $validate: v => {
+      if (sessionSizePolicies.indexOf(v) === -1) {
+        throw new Error('sessionSizePolicy must be one of ' +
+          sessionSizePolicies.map(policy => '"' + policy + '"').join(', '));
+      }
+    }
+  },
+  dropKeys: {
+    $type: ['string'],
+    $default: () => []
+  },
+  ownerPath: {
+    $type: 'string',
+    $default: null
+  },
+  ownerKey: {
+    $type: 'string',
+    $required: true,
+    $default: 'owner'
+  },
+  maxSessionsPerOwner: {
+    $type: 'number',
+    $required: true,
+    $default: 0
+  },
+  ownerPolicy: {
+    $type: 'string',
+    $required: true,
+    $default: 'evict-oldest',
+    $validate: v => {
+      if (ownerPolicies.indexOf(v) === -1) {
+        throw new Error('ownerPolicy must be one of ' +
+          ownerPolicies.map(policy => '"' + policy + '"').join(', '));
+      }
+    }
+  },
+  renameOnRegenerate: {
+    $type: 'boolean',
+    $required: true,
+    $default: false
+  },
+  errorDetail: {
+    $type: 'string',
+    $required: true,
+    $default: 'redacted',
+    $validate: v => {
+      if (errorDetailLevels.indexOf(v) === -1) {
+        throw new Error('errorDetail must be one of ' +
+          errorDetailLevels.map(level => '"' + level + '"').join(', '));
+      }
+    }
+  },
+  secret: {
+    $type: Archetype.Any,
+    $default: null,
+    $validate: v => {
+      const secrets = Array.isArray(v) ? v : [v];
+      if (secrets.length === 0 || secrets.some(s => typeof s !== 'string' || !s)) {
+        throw new Error('secret must be a non-empty string or array of strings');
+      }
+    }
   }
 }).compile('OptionsType');
 
@@ -69,6 +368,20 @@ module.exports = function(connect) {
     this._errorHandler = handleError.bind(this);
     this.client = null;
     this.db = null;
+    this._connectionError = null;
+    this._connected = false;
+    this._queue = [];
+    this._connectRetry = null;
+    this._closed = false;
+    this._closePromise = null;
+    this._inFlight = 0;
+    this._onDrained = [];
+    this._changeStream = null;
+    this._resumeToken = null;
+    this._watchRetries = 0;
+    this._watchTimer = null;
+    this._sweepTimer = null;
+    this._sweepPromise = null;
 
     if (typeof options === 'function') {
       callback = options;
@@ -77,166 +390,2270 @@ module.exports = function(connect) {
       options = options || {};
     }
 
-    options = new OptionsType(options);
+    // Connection objects are not plain options, so keep them away from
+    // archetype's cloning and casting
+    const connection = {};
+    for (const key of connectionKeys) {
+      connection[key] = options[key];
+    }
+    options = new OptionsType(omit(options, connectionKeys));
+    if (typeof options.serialize === 'function' && options.unserialize == null) {
+      throw new Error('unserialize is required if serialize is a function');
+    }
+    if (options.partialUpdates && (options.serialize !== 'bson' || options.secret != null)) {
+      throw new Error('partialUpdates requires serialize "bson" and no secret');
+    }
+    if (options.maxSessionsPerOwner > 0 && options.ownerPath == null) {
+      throw new Error('maxSessionsPerOwner requires ownerPath');
+    }
 
     Store.call(this, options);
     this.options = options;
+    this.collection = null;
+    this._collections = new Map();
+    this._cache = options.cacheSize > 0 ?
+      new SessionCache(options.cacheSize, options.cacheMaxAge) :
+      null;
+    this._versioned = options.partialUpdates || options.optimisticConcurrency;
+    // Timeouts and evicting the oldest session rely on the timestamps in
+    // `metadata`
+    this._metadata = options.metadata.enabled || options.metadata.fields != null ||
+      options.absoluteTimeout > 0 || options.idleTimeout > 0 ||
+      options.maxSessionsPerOwner > 0;
+    this._snapshots = options.partialUpdates ?
+      new SessionCache(snapshotCacheSize, snapshotMaxAge) :
+      null;
+    this._keys = options.secret == null ?
+      null :
+      [].concat(options.secret).map(deriveKey);
+    this._ownsClient = false;
+    // Set to false once the deployment turns out not to support transactions
+    this._transactions = true;
 
-    const connOptions = options.connectionOptions;
-    const client = new mongodb.MongoClient(options.uri, connOptions);
-    this.client = client;
-    const db = options.databaseName == null ?
-      client.db() :
-      client.db(options.databaseName);
-    this.db = db;
-    this.collection = db.collection(this.options.collection);
-    this.initialConnectionPromise = client.connect().
-      then(() => {
-        const expiresIndex = {};
-        expiresIndex[options.expiresKey] = 1
+    let connectPromise;
+    if (connection.db != null) {
+      this._setDb(connection.db);
+      connectPromise = Promise.resolve();
+    } else if (connection.client != null) {
+      this._setClient(connection.client);
+      connectPromise = Promise.resolve();
+    } else if (connection.clientPromise != null) {
+      connectPromise = Promise.resolve(connection.clientPromise).
+        then(client => this._setClient(client));
+    } else {
+      const connOptions = options.connectionOptions;
+      this._setClient(new mongodb.MongoClient(options.uri, connOptions));
+      this._ownsClient = true;
+      connectPromise = this._connect(0);
+    }
 
-        return this.collection.
-          createIndex(expiresIndex, { expireAfterSeconds: options.expiresAfterSeconds }).
+    // Index failures are reported, but don't make the connection fail
+    let indexError = null;
+    this.initialConnectionPromise = connectPromise.
+      then(() => {
+        if (!options.indexes.autoCreate) {
+          return;
+        }
+        return this._createIndexes(this.collection).
           catch(err => {
-            const e = new Error('Error creating index: ' + err.message);
-            return _this._errorHandler(e, callback);
+            indexError = _this._error(OperationError, 'Error creating index', { cause: err });
+            if (_this._emitter.listeners('error').length) {
+              _this._emitter.emit('error', indexError);
+            }
           });
       }).then(() => {
-        process.nextTick(() => callback && callback());
+        if (options.watch) {
+          this._watch();
+        }
+        if (options.sweepInterval > 0 && !this._closed) {
+          this._startSweeper();
+        }
+        this._connected = true;
+        process.nextTick(() => callback && callback(indexError));
         this._emitter.emit('connected');
-        return client;
+        this._flushQueue(null);
+        return this.client;
       }).
       catch(error => {
-        var e = new Error('Error connecting to db: ' + error.message);
-        _this._errorHandler(e, callback);
-        if (callback == null) {
-          throw e;
+        var e = _this._error(ConnectionError, 'Error connecting to db', { cause: error });
+        _this._connectionError = e;
+        _this._flushQueue(e);
+        // A store closed while connecting has nobody left to tell
+        if (_this._closed) {
+          return;
+        }
+        // Never reject here: nobody may be listening, and `ready()` reports
+        // the error from `_connectionError`
+        if (_this._emitter.listeners('error').length) {
+          _this._emitter.emit('error', e);
+        }
+        if (callback) {
+          callback(e);
         }
       });
   };
 
   MongoDBStore.prototype = Object.create(Store.prototype);
 
-  MongoDBStore.prototype._generateQuery = function(id) {
-    const ret = {};
-    ret[this.options.idField] = id;
-    return ret;
+  /**
+   * Returns a promise that resolves to the underlying MongoClient once the
+   * store is connected, or rejects if the initial connection failed.
+   */
+  MongoDBStore.prototype.ready = function() {
+    return this.initialConnectionPromise.then(() => {
+      if (this._connectionError != null) {
+        throw this._connectionError;
+      }
+      return this.client;
+    });
   };
 
-  MongoDBStore.prototype.get = function(id, callback) {
-    const _this = this;
-
-    this.collection.
-      findOne(this._generateQuery(id)).
-      then(session => {
-        if (session) {
-          if (!session.expires || new Date < session.expires) {
-            return process.nextTick(() => callback(null, session.session));
-          } else {
-            return _this.destroy(id, callback);
-          }
-        } else {
-          return process.nextTick(() => callback());
-        }
-      }).
-      catch(error => {
-        const e = new Error('Error finding ' + id + ': ' + error.message);
-        return _this._errorHandler(e, callback);
-      });
+  MongoDBStore.prototype._setClient = function(client) {
+    this.client = client;
+    this._setDb(this.options.databaseName == null ?
+      client.db() :
+      client.db(this.options.databaseName));
   };
 
-  // new store.all() for all sessions
-
-  MongoDBStore.prototype.all = function(callback) {
-    const _this = this;
+  MongoDBStore.prototype._setDb = function(db) {
+    this.db = db;
+    this.client = this.client || db.client || null;
+    this.collection = db.collection(this.options.collection);
+    this._collections.set(db.databaseName + '.' + this.options.collection, this.collection);
+  };
 
-    if (!this.db) {
-      return this._emitter.once('connected', function() {
-        _this.all.call(_this, callback);
-      });
+  /**
+   * Returns the collection that holds session `id`. With
+   * `resolveNamespace`, that's the collection it returns for `id`,
+   * otherwise `this.collection`.
+   */
+  MongoDBStore.prototype._collectionFor = function(id) {
+    if (this.options.resolveNamespace == null) {
+      return this.collection;
     }
+    return this._namespace(this.options.resolveNamespace(id) || {});
+  };
 
-    this.db.collection(this.options.collection).
-      find({}).toArray(function(error, sessions) {
-        if (error) {
-          const e = new Error('Error gathering sessions');
-          return _this._errorHandler(e, callback);
-        } else if (sessions) {
-          if (sessions) {
-            return callback(null, sessions);
+  /**
+   * Returns the collection for `{ databaseName, collection }`, either of
+   * which defaults to the store's own. All namespaces share one client,
+   * and the store creates indexes in a namespace the first time it's used.
+   */
+  MongoDBStore.prototype._namespace = function(namespace) {
+    const databaseName = namespace.databaseName || this.db.databaseName;
+    const collectionName = namespace.collection || this.options.collection;
+    const key = databaseName + '.' + collectionName;
+
+    let collection = this._collections.get(key);
+    if (collection == null) {
+      collection = this._db(databaseName).collection(collectionName);
+      this._collections.set(key, collection);
+      if (this.options.indexes.autoCreate) {
+        this._createIndexes(collection).catch(error => {
+          if (this._emitter.listeners('error').length) {
+            const e = this._error(OperationError, 'Error creating index on ' + key, { cause: error });
+            this._emitter.emit('error', e);
           }
-        } else {
-          return callback();
-        }
-      });
+        });
+      }
+    }
+    return collection;
   };
 
-  MongoDBStore.prototype.destroy = function(id, callback) {
-    const _this = this;
+  MongoDBStore.prototype._db = function(databaseName) {
+    return databaseName === this.db.databaseName ? this.db : this.client.db(databaseName);
+  };
 
-    this.collection.deleteOne(this._generateQuery(id)).
-      then(() => {
-        process.nextTick(() => callback && callback());
-      }).catch(error => {
-        const e = new Error('Error destroying ' + id + ': ' + error.message);
-        return _this._errorHandler(e, callback);
-      });
+  /**
+   * Collections that operations without a session id, like `all()` and
+   * `clear()`, run against. With `resolveNamespace`, those are the
+   * `namespaces` option (an array or a function that returns one, or a
+   * promise for one) or else every namespace this store has used so far.
+   */
+  MongoDBStore.prototype._allCollections = function() {
+    const namespaces = this.options.namespaces;
+    if (this.options.resolveNamespace == null || namespaces == null) {
+      return Promise.resolve(Array.from(this._collections.values()));
+    }
+    return Promise.resolve(typeof namespaces === 'function' ? namespaces() : namespaces).
+      then(namespaces => namespaces.map(namespace => this._namespace(namespace)));
   };
 
-  MongoDBStore.prototype.clear = function(callback) {
-    const _this = this;
+  /**
+   * Connects the store's own client, retrying up to `connectRetries` times
+   * with exponential backoff. Emits 'reconnecting' before each retry.
+   */
+  MongoDBStore.prototype._connect = function(attempt) {
+    return this.client.connect().catch(error => {
+      if (attempt >= this.options.connectRetries || this._closed) {
+        throw error;
+      }
 
-    this.collection.deleteMany({}).
-      then(() => {
-        process.nextTick(() => callback && callback());
-      }).
-      catch(error => {
-        const e = new Error('Error clearing all sessions: ' + error.message);
-          return _this._errorHandler(e, callback);
+      const delay = Math.min(this.options.connectRetryDelay * Math.pow(2, attempt), 30000);
+      this._emitter.emit('reconnecting', { attempt: attempt + 1, delay: delay, error: error });
+      return new Promise((resolve, reject) => {
+        this._connectRetry = {
+          timer: setTimeout(resolve, delay),
+          cancel: () => reject(this._error(StoreClosedError, 'Store closed while connecting'))
+        };
+      }).then(() => {
+        this._connectRetry = null;
+        return this._connect(attempt + 1);
       });
+    });
   };
 
-  MongoDBStore.prototype.set = function(id, session, callback) {
-    const _this = this;
+  /**
+   * Whether operations have to wait for the initial connection, either
+   * because there is no collection yet (`clientPromise`) or because of
+   * `bufferOperations`. Once the initial connection has failed, buffered
+   * operations go straight to the driver, which reconnects by itself.
+   */
+  MongoDBStore.prototype._shouldDefer = function() {
+    return this.collection == null ||
+      (this.options.bufferOperations && !this._connected && this._connectionError == null);
+  };
 
-    const sess = {};
-    for (const key in session) {
-      if (key === 'cookie') {
-        sess[key] = session[key].toJSON ? session[key].toJSON() : session[key];
+  /**
+   * Queues `fn` until the initial connection succeeds, subject to
+   * `bufferMaxSize` and `bufferTimeoutMS`. If the connection fails, the
+   * operation fails with the connection error, as do operations deferred
+   * after that. With `missing`, failures are treated like a missing
+   * session, see `missingOnError`.
+   */
+  MongoDBStore.prototype._defer = function(fn, callback, missing) {
+    const fail = error => missing ?
+      this._treatAsMissing(error, callback) :
+      this._errorHandler(error, callback);
+
+    if (this._connectionError != null) {
+      return process.nextTick(() => fail(this._connectionError));
+    }
+
+    const maxSize = this.options.bufferMaxSize;
+    if (maxSize > 0 && this._queue.length >= maxSize) {
+      const e = this._error(ConnectionError, 'Too many operations waiting for connection, ' +
+        'bufferMaxSize is ' + maxSize, { code: 'BUFFER_FULL' });
+      return process.nextTick(() => fail(e));
+    }
+
+    const entry = { fn: fn, fail: fail, timer: null };
+    const timeoutMS = this.options.bufferTimeoutMS;
+    if (timeoutMS > 0) {
+      entry.timer = setTimeout(() => {
+        this._queue.splice(this._queue.indexOf(entry), 1);
+        fail(this._error(ConnectionError, 'Timed out after ' + timeoutMS +
+          'ms waiting for connection', { code: 'BUFFER_TIMEOUT' }));
+      }, timeoutMS);
+    }
+    this._queue.push(entry);
+  };
+
+  MongoDBStore.prototype._flushQueue = function(error) {
+    const queue = this._queue;
+    this._queue = [];
+    for (const entry of queue) {
+      clearTimeout(entry.timer);
+      if (error != null) {
+        entry.fail(error);
+      } else if (this.collection == null) {
+        entry.fail(this._error(ConnectionError, 'Not connected'));
       } else {
-        sess[key] = session[key];
+        entry.fn();
       }
     }
+  };
 
-    const s = this._generateQuery(id);
-    s.session = sess;
-    if (session && session.cookie && session.cookie.expires) {
-      s[this.options.expiresKey] = new Date(session.cookie.expires);
-    } else {
-      const now = new Date();
-      s[this.options.expiresKey] = new Date(now.getTime() + this.options.expires);
+  /**
+   * For `get()` with `missingOnError`: report the error through the 'error'
+   * event, if anyone listens, but call back as if there was no session.
+   */
+  MongoDBStore.prototype._treatAsMissing = function(error, callback) {
+    if (this._emitter.listeners('error').length) {
+      this._emitter.emit('error', error);
+    }
+    if (callback.stats != null) {
+      callback.stats.error = error;
     }
+    process.nextTick(() => callback());
+  };
 
-    this.collection.updateOne(this._generateQuery(id), { $set: s }, { upsert: true }).
-      then(() => {
-        process.nextTick(() => callback && callback());
-      }).catch(error => {
-        const e = new Error('Error setting ' + id + ' to ' +
-            require('util').inspect(session) + ': ' + error.message);
-          return _this._errorHandler(e, callback);
-      });
+  /**
+   * Wraps an operation's callback so `close()` can wait for it, and emits
+   * 'operation' with the operation's timing once it finishes. Calls that
+   * re-enter with an already tracked callback (buffered operations, or
+   * `get()` destroying an expired session) count towards the original
+   * operation.
+   */
+  MongoDBStore.prototype._track = function(callback, operation, id) {
+    ++this._inFlight;
+    const outermost = callback.stats == null;
+    const stats = outermost ?
+      { operation: operation, id: id, startTime: new Date(), duration: 0, error: null } :
+      callback.stats;
+    const start = process.hrtime.bigint();
+    const tracked = (error, res) => {
+      if (--this._inFlight === 0) {
+        const onDrained = this._onDrained;
+        this._onDrained = [];
+        onDrained.forEach(fn => fn());
+      }
+      if (outermost) {
+        stats.duration = Number(process.hrtime.bigint() - start) / 1e6;
+        if (error != null) {
+          stats.error = error;
+        }
+        this._emitter.emit('operation', stats);
+      }
+      callback(error, res);
+    };
+    tracked.stats = stats;
+    return tracked;
   };
 
-  MongoDBStore.prototype.on = function() {
-    this._emitter.on.apply(this._emitter, arguments);
+  /**
+   * Whether anyone listens for 'operation', so operations can skip
+   * measuring things only the listeners need.
+   */
+  MongoDBStore.prototype._measuring = function() {
+    return this._emitter.listeners('operation').length > 0;
   };
 
-  MongoDBStore.prototype.once = function() {
-    this._emitter.once.apply(this._emitter, arguments);
+  /**
+   * Creates an error of type `ErrorType`, a `MongoDBStoreError`. `summary`
+   * says what failed, and the `errorDetail` option decides whether the
+   * message also gets `props.sessionId`, `props.session` and the message
+   * of `props.cause`.
+   */
+  MongoDBStore.prototype._error = function(ErrorType, summary, props) {
+    props = props || {};
+    const detail = this.options.errorDetail;
+
+    let message = summary;
+    if (detail === 'minimal') {
+      if (props.sessionId != null) {
+        message += ' session';
+      }
+    } else {
+      if (props.sessionId != null) {
+        message += ' ' + props.sessionId;
+      }
+      if (detail === 'full' && 'session' in props) {
+        message += ' to ' + require('util').inspect(props.session);
+      }
+      if (props.cause != null) {
+        message += ': ' + props.cause.message;
+      }
+    }
+    return new ErrorType(message, omit(props, ['session']));
   };
 
-  return MongoDBStore;
-};
+  MongoDBStore.prototype._closedError = function(op, callback) {
+    const e = this._error(StoreClosedError, 'Cannot call ' + op + '() after close()',
+      { operation: op });
+    process.nextTick(() => this._errorHandler(e, callback));
+  };
+
+  /**
+   * Waits for in-flight operations to finish, then closes the MongoClient
+   * if the store created it. Operations called after `close()` fail.
+   *
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.close = function(callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.close, []);
+    }
+
+    if (this._closePromise == null) {
+      this._closed = true;
+      if (this._connectRetry != null) {
+        clearTimeout(this._connectRetry.timer);
+        this._connectRetry.cancel();
+        this._connectRetry = null;
+      }
+      this._flushQueue(this._error(StoreClosedError, 'Store closed before connecting'));
+      // A running sweep counts as in-flight, so `drained` waits for it
+      this._stopSweeper();
+      const drained = this._inFlight === 0 ?
+        Promise.resolve() :
+        new Promise(resolve => this._onDrained.push(resolve));
+      // Closing the client while it is still connecting makes `connect()`
+      // reject, so let the initial connection settle first
+      const connected = this.initialConnectionPromise.catch(() => {});
+      this._closePromise = Promise.all([drained, connected]).
+        then(() => this._unwatch()).
+        then(() => this._ownsClient ? this.client.close() : null).
+        then(() => {
+          this._emitter.emit('disconnected');
+        });
+    }
+
+    this._closePromise.
+      then(() => {
+        process.nextTick(() => callback());
+      }).
+      catch(error => {
+        const e = this._error(OperationError, 'Error closing store',
+          { operation: 'close', cause: error });
+        return this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * Opens a change stream on the sessions collection for the `watch`
+   * option. Emits 'session:set', 'session:destroy' and 'session:expired'
+   * with the session id, and invalidates the `get()` cache. Telling
+   * expired sessions apart from destroyed ones requires `watchPreImages`
+   * (MongoDB 6.0+) and `changeStreamPreAndPostImages` on the collection,
+   * otherwise every delete is reported as 'session:destroy'. With
+   * `resolveNamespace`, only the store's default namespace is watched.
+   *
+   * With a custom `idField`, the id of a deleted session is only known
+   * from its pre-image, so deletes are only reported with `watchPreImages`.
+   * Changes whose id is unknown clear the whole cache and emit nothing.
+   *
+   * The driver resumes the stream after transient errors by itself. Errors
+   * it can't recover from are reported once and stop watching.
+   */
+  MongoDBStore.prototype._watch = function() {
+    if (this._closed) {
+      return;
+    }
+
+    const options = {};
+    if (this.options.watchPreImages) {
+      options.fullDocumentBeforeChange = 'whenAvailable';
+    }
+    if (this.options.idField !== '_id') {
+      options.fullDocument = 'updateLookup';
+    }
+    if (this._resumeToken != null) {
+      options.resumeAfter = this._resumeToken;
+    }
+
+    const changeStream = this.collection.watch([], options);
+    this._changeStream = changeStream;
+    changeStream.on('change', change => {
+      this._resumeToken = change._id;
+      this._watchRetries = 0;
+      this._onChange(change);
+    });
+    changeStream.on('error', error => {
+      if (this._changeStream !== changeStream) {
+        return;
+      }
+      this._changeStream = null;
+      changeStream.close().catch(() => {});
+      if (this._closed) {
+        return;
+      }
+
+      // The cache may have missed changes while the stream was down
+      this._uncache();
+      if (this._emitter.listeners('error').length) {
+        const e = this._error(OperationError, 'Error watching sessions', { cause: error });
+        this._emitter.emit('error', e);
+      }
+
+      // Resume token fell off the oplog, start over
+      if (error.code === invalidResumeToken || error.code === changeStreamHistoryLost) {
+        this._resumeToken = null;
+      } else if (!isResumable(error)) {
+        return;
+      }
+
+      const delay = Math.min(100 * Math.pow(2, this._watchRetries++), 10000);
+      this._watchTimer = setTimeout(() => {
+        this._watchTimer = null;
+        this._watch();
+      }, delay);
+    });
+  };
+
+  MongoDBStore.prototype._onChange = function(change) {
+    const idField = this.options.idField;
+    const before = change.fullDocumentBeforeChange;
+    let id;
+    if (idField === '_id') {
+      id = change.documentKey && change.documentKey._id;
+    } else if (change.fullDocument != null) {
+      id = change.fullDocument[idField];
+    } else if (before != null) {
+      id = before[idField];
+    }
+
+    if (id == null && change.operationType !== 'invalidate') {
+      // With a custom `idField`, deletes only carry the id with pre-images,
+      // and updates lose it if the session is gone by the time the driver
+      // looks it up. Nothing to report then, but the cache may be stale.
+      this._uncache();
+      return;
+    }
+
+    switch (change.operationType) {
+      case 'insert':
+      case 'update':
+      case 'replace':
+        this._uncache(id);
+        this._emitter.emit('session:set', id);
+        break;
+      case 'delete': {
+        this._uncache(id);
+        const expires = before == null ? null : before[this.options.expiresKey];
+        if (expires instanceof Date && expires <= new Date()) {
+          this._emitter.emit('session:expired', id);
+        } else {
+          this._emitter.emit('session:destroy', id);
+        }
+        break;
+      }
+      case 'invalidate':
+        // Collection dropped or renamed, the stream is done
+        this._uncache();
+        this._resumeToken = null;
+        this._unwatch().catch(() => {});
+        this._watch();
+        break;
+    }
+  };
+
+  MongoDBStore.prototype._unwatch = function() {
+    clearTimeout(this._watchTimer);
+    this._watchTimer = null;
+    const changeStream = this._changeStream;
+    this._changeStream = null;
+    return changeStream == null ? Promise.resolve() : changeStream.close();
+  };
+
+  /**
+   * Deletes expired sessions in batches of `sweepBatchSize`, for
+   * deployments where the TTL index doesn't run. Calls back with, and
+   * emits 'sweep' with, `{ deleted, batches, durationMS }`. Safe to run
+   * from several app servers at once.
+   *
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.sweep = function(callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.sweep, []);
+    }
+    if (this._closed) {
+      return this._closedError('sweep', callback);
+    }
+    callback = this._track(callback, 'sweep');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.sweep(callback), callback);
+    }
+    const _this = this;
+
+    const start = Date.now();
+    const stats = { deleted: 0, batches: 0, durationMS: 0 };
+    const sweepBatch = collection => {
+      const now = new Date();
+      const expired = {};
+      expired[this.options.expiresKey] = { $lte: now };
+      const timedOut = this._timeoutConditions(now);
+      const query = timedOut.length === 0 ? expired : { $or: [expired].concat(timedOut) };
+      const findOptions = this._driverOptions('admin', readOptionKeys,
+        { projection: { _id: 1 }, limit: this.options.sweepBatchSize });
+      return collection.
+        find(query, findOptions).
+        toArray().
+        then(docs => {
+          if (docs.length === 0) {
+            return;
+          }
+          // Re-check expiry in case the session was touched in between
+          const deleteQuery = Object.assign({ _id: { $in: docs.map(doc => doc._id) } }, query);
+          const deleteOptions = this._driverOptions('admin', writeOptionKeys);
+          return collection.deleteMany(deleteQuery, deleteOptions).then(res => {
+            ++stats.batches;
+            stats.deleted += res.deletedCount;
+            if (docs.length === this.options.sweepBatchSize && !this._closed) {
+              return sweepBatch(collection);
+            }
+          });
+        });
+    };
+
+    this._allCollections().
+      then(collections => collections.reduce(
+        (promise, collection) => promise.then(() => sweepBatch(collection)),
+        Promise.resolve()
+      )).
+      then(() => {
+        stats.durationMS = Date.now() - start;
+        if (stats.deleted > 0) {
+          _this._uncache();
+        }
+        _this._emitter.emit('sweep', stats);
+        process.nextTick(() => callback(null, stats));
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error sweeping expired sessions',
+          { operation: 'sweep', cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  MongoDBStore.prototype._startSweeper = function() {
+    this._sweepTimer = setInterval(() => {
+      if (this._sweepPromise != null) {
+        return;
+      }
+      this._sweepPromise = this.sweep().
+        catch(() => {
+          // Already reported through the 'error' event, if anyone listens
+        }).
+        then(() => {
+          this._sweepPromise = null;
+        });
+    }, this.options.sweepInterval);
+    this._sweepTimer.unref();
+  };
+
+  MongoDBStore.prototype._stopSweeper = function() {
+    clearInterval(this._sweepTimer);
+    this._sweepTimer = null;
+  };
+
+  /**
+   * Creates the TTL index on `expiresKey`, any `indexes.additional`, and
+   * with `indexes.uniqueId` a unique index on a custom `idField`. With
+   * `indexes.updateTTL`, an existing TTL index whose
+   * `expireAfterSeconds` differs is updated with `collMod` rather than
+   * failing with an index options conflict.
+   */
+  MongoDBStore.prototype._createIndexes = function(collection) {
+    const expiresIndex = {};
+    expiresIndex[this.options.expiresKey] = 1;
+    const expireAfterSeconds = this.options.expiresAfterSeconds;
+
+    return collection.
+      createIndex(expiresIndex, { expireAfterSeconds: expireAfterSeconds }).
+      catch(error => {
+        if (!this.options.indexes.updateTTL || error.code !== indexOptionsConflict) {
+          throw error;
+        }
+        return this._db(collection.dbName).command({
+          collMod: collection.collectionName,
+          index: { keyPattern: expiresIndex, expireAfterSeconds: expireAfterSeconds }
+        });
+      }).
+      then(() => {
+        const additional = this.options.indexes.additional.slice();
+        if (this.options.ownerPath != null) {
+          const ownerIndex = {};
+          ownerIndex[this.options.ownerKey] = 1;
+          additional.push({ key: ownerIndex });
+        }
+        if (additional.length === 0) {
+          return;
+        }
+        return collection.createIndexes(additional);
+      }).
+      then(() => this._createUniqueIdIndex(collection));
+  };
+
+  /**
+   * With `indexes.uniqueId` and a custom `idField`, creates a unique index
+   * on `idField`, which `rename()` and `import()` need to tell that a
+   * session already exists. `_id` is unique anyway. Failures, e.g. because
+   * a non-unique index on `idField` already exists, only emit 'warning':
+   * the store works without it, except for those checks.
+   */
+  MongoDBStore.prototype._createUniqueIdIndex = function(collection) {
+    if (!this.options.indexes.uniqueId || this.options.idField === '_id') {
+      return;
+    }
+    const idIndex = {};
+    idIndex[this.options.idField] = 1;
+    return collection.createIndex(idIndex, { unique: true }).
+      catch(error => {
+        const e = this._error(OperationError, 'Error creating unique index on ' +
+          this.options.idField, { cause: error });
+        this._emitter.emit('warning', e);
+      });
+  };
+
+  MongoDBStore.prototype._serialize = function(session) {
+    if (typeof this.options.serialize === 'function') {
+      return this.options.serialize(session);
+    }
+
+    const sess = {};
+    for (const key in session) {
+      if (key === 'cookie') {
+        sess[key] = session[key].toJSON ? session[key].toJSON() : session[key];
+      } else {
+        sess[key] = session[key];
+      }
+    }
+    return this.options.serialize === 'json' ? JSON.stringify(sess) : sess;
+  };
+
+  MongoDBStore.prototype._unserialize = function(stored) {
+    if (this.options.unserialize != null) {
+      return this.options.unserialize(stored);
+    }
+    if (this.options.serialize === 'json' && typeof stored === 'string') {
+      return JSON.parse(stored);
+    }
+    return stored;
+  };
+
+  /**
+   * Serializes and, if `secret` is set, encrypts the session. The session
+   * id is authenticated along with the payload, so encrypted sessions
+   * can't be copied from one document to another.
+   */
+  MongoDBStore.prototype._encode = function(id, session) {
+    const sess = this._serialize(session);
+    if (this._keys == null) {
+      return sess;
+    }
+    return encrypt(this._keys[0], String(id), mongodb.BSON.serialize({ s: sess }));
+  };
+
+  /**
+   * Inverse of `_encode()`. Returns `undefined` and emits 'decryptionError'
+   * if an encrypted session can't be decrypted with any key.
+   */
+  MongoDBStore.prototype._decode = function(id, stored) {
+    if (this._keys == null) {
+      return this._unserialize(stored);
+    }
+
+    let plaintext = null;
+    try {
+      plaintext = decrypt(this._keys, String(id), stored);
+    } catch (error) {
+      const e = this._error(SerializationError, 'Error decrypting',
+        { operation: 'get', sessionId: id, cause: error });
+      this._emitter.emit('decryptionError', e, id);
+      return undefined;
+    }
+    return this._unserialize(mongodb.BSON.deserialize(plaintext).s);
+  };
+
+  MongoDBStore.prototype._generateQuery = function(id) {
+    const ret = {};
+    ret[this.options.idField] = id;
+    return ret;
+  };
+
+  MongoDBStore.prototype._getExpires = function(session) {
+    const now = Date.now();
+    let expires = session && session.cookie && session.cookie.expires ?
+      new Date(session.cookie.expires) :
+      new Date(now + this.options.expires);
+    // Let the TTL index clean up idle sessions too
+    if (this.options.idleTimeout > 0 && expires.getTime() > now + this.options.idleTimeout) {
+      expires = new Date(now + this.options.idleTimeout);
+    }
+    return expires;
+  };
+
+  /**
+   * Whether the session document `doc` is past `absoluteTimeout` since it
+   * was created or `idleTimeout` since it was last used. Documents stored
+   * before the timeouts were turned on lack the timestamps and never time
+   * out.
+   */
+  MongoDBStore.prototype._timedOut = function(doc) {
+    const metadata = doc[this.options.metadata.key];
+    if (metadata == null) {
+      return false;
+    }
+    const now = Date.now();
+    const absoluteTimeout = this.options.absoluteTimeout;
+    if (absoluteTimeout > 0 && metadata.createdAt instanceof Date &&
+        now - metadata.createdAt.getTime() >= absoluteTimeout) {
+      return true;
+    }
+    const idleTimeout = this.options.idleTimeout;
+    if (idleTimeout > 0 && metadata.lastAccessedAt instanceof Date &&
+        now - metadata.lastAccessedAt.getTime() >= idleTimeout) {
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Query conditions that each match documents past one of the timeouts,
+   * the query equivalent of `_timedOut()`.
+   */
+  MongoDBStore.prototype._timeoutConditions = function(now) {
+    const key = this.options.metadata.key;
+    const ret = [];
+    if (this.options.absoluteTimeout > 0) {
+      const cond = {};
+      cond[key + '.createdAt'] = { $lte: new Date(now.getTime() - this.options.absoluteTimeout) };
+      ret.push(cond);
+    }
+    if (this.options.idleTimeout > 0) {
+      const cond = {};
+      cond[key + '.lastAccessedAt'] = { $lte: new Date(now.getTime() - this.options.idleTimeout) };
+      ret.push(cond);
+    }
+    return ret;
+  };
+
+  /**
+   * Returns `options` plus the driver options in `keys` that
+   * `operationOptions[type]` sets. `type` is 'get', 'set' (also used by
+   * `touch()`), 'destroy', 'clear' or 'admin' (`all()`, `count()`,
+   * `find()`, `destroyWhere()` and `sweep()`).
+   */
+  MongoDBStore.prototype._driverOptions = function(type, keys, options) {
+    const ret = Object.assign({}, options);
+    const configured = this.options.operationOptions[type];
+    if (configured == null) {
+      return ret;
+    }
+    for (const key of keys) {
+      if (configured[key] != null) {
+        ret[key] = configured[key];
+      }
+    }
+    return ret;
+  };
+
+  MongoDBStore.prototype.get = function(id, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.get, [id]);
+    }
+    if (this._closed) {
+      return this._closedError('get', callback);
+    }
+    callback = this._track(callback, 'get', id);
+    if (this._shouldDefer()) {
+      return this._defer(() => this.get(id, callback), callback, this.options.missingOnError);
+    }
+    const _this = this;
+
+    let collection;
+    try {
+      collection = this._collectionFor(id);
+    } catch (error) {
+      const e = this._error(OperationError, 'Error finding',
+        { operation: 'get', sessionId: id, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    this._findOne(collection, id).
+      then(session => {
+        const stats = callback.stats;
+        stats.hit = false;
+        if (session) {
+          const expires = session[_this.options.expiresKey];
+          if ((!expires || new Date < expires) && !_this._timedOut(session)) {
+            const sess = _this._decode(id, session.session);
+            if (_this._versioned && sess != null && typeof sess === 'object') {
+              _this._snapshot(id, session, sess);
+            }
+            stats.hit = sess != null;
+            return process.nextTick(() => callback(null, sess));
+          } else if (_this._closed) {
+            // Leave stale sessions to the TTL index while shutting down
+            return process.nextTick(() => callback());
+          } else {
+            stats.expired = true;
+            return _this.destroy(id, callback);
+          }
+        } else {
+          return process.nextTick(() => callback());
+        }
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error finding',
+          { operation: 'get', sessionId: id, cause: error });
+        if (_this.options.missingOnError && isUnavailable(error)) {
+          return _this._treatAsMissing(e, callback);
+        }
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * With `partialUpdates` or `optimisticConcurrency`, tags the session
+   * returned by `get()` with the document's version under `versionKey`,
+   * and with `partialUpdates` remembers what the session looked like so
+   * `set()` can send only the keys that changed.
+   */
+  MongoDBStore.prototype._snapshot = function(id, doc, sess) {
+    const version = doc[this.options.versionKey] || 0;
+    if (this._snapshots != null) {
+      this._snapshots.set(JSON.stringify([id, version]), { session: doc.session },
+        doc[this.options.expiresKey]);
+    }
+    sess[this.options.versionKey] = version;
+  };
+
+  /**
+   * Returns the `$set` and `$unset` that turn the session loaded at
+   * `version` into `sess`, or null if there is no snapshot or a changed key
+   * can't be used in a dotted path.
+   */
+  MongoDBStore.prototype._diff = function(id, version, sess) {
+    if (this._snapshots == null) {
+      return null;
+    }
+    const snapshot = this._snapshots.get(JSON.stringify([id, version]));
+    if (snapshot == null || snapshot.session == null) {
+      return null;
+    }
+
+    const before = snapshot.session;
+    const ret = { $set: {}, $unset: {} };
+    for (const key of Object.keys(sess)) {
+      if (key.indexOf('.') !== -1 || key.charAt(0) === '$') {
+        return null;
+      }
+      if (!(key in before) || !bsonEqual(before[key], sess[key])) {
+        ret.$set['session.' + key] = sess[key];
+      }
+    }
+    for (const key of Object.keys(before)) {
+      if (!(key in sess)) {
+        ret.$unset['session.' + key] = '';
+      }
+    }
+    return ret;
+  };
+
+  MongoDBStore.prototype._findOne = function(collection, id) {
+    if (this._cache == null) {
+      return this._findOneFromDb(collection, id);
+    }
+
+    const cached = this._cache.get(id);
+    if (cached != null) {
+      return Promise.resolve(cached);
+    }
+    return this._findOneFromDb(collection, id).
+      then(doc => {
+        if (doc != null) {
+          this._cache.set(id, doc, doc[this.options.expiresKey]);
+        }
+        return doc;
+      });
+  };
+
+  /**
+   * Reads the session with `operationOptions.get`. If that reads from a
+   * secondary and finds nothing, the session may not have replicated yet,
+   * so ask the primary.
+   */
+  MongoDBStore.prototype._findOneFromDb = function(collection, id) {
+    const query = this._generateQuery(id);
+    const options = this._driverOptions('get', readOptionKeys);
+    return collection.findOne(query, options).then(doc => {
+      const readPreference = options.readPreference;
+      const mode = readPreference != null && typeof readPreference === 'object' ?
+        readPreference.mode :
+        readPreference;
+      if (doc != null || mode == null || mode === 'primary') {
+        return doc;
+      }
+      return collection.findOne(query, Object.assign({}, options, { readPreference: 'primary' }));
+    });
+  };
+
+  /**
+   * Drops `id` from the `get()` cache, or the whole cache if no id.
+   */
+  MongoDBStore.prototype._uncache = function(id) {
+    if (this._cache == null) {
+      return;
+    }
+    if (id == null) {
+      this._cache.clear();
+    } else {
+      this._cache.delete(id);
+    }
+  };
+
+  MongoDBStore.prototype.all = function(callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.all, []);
+    }
+    if (this._closed) {
+      return this._closedError('all', callback);
+    }
+    callback = this._track(callback, 'all');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.all(callback), callback);
+    }
+    const _this = this;
+
+    this._allCollections().
+      then(collections => Promise.all(collections.map(collection => {
+        return this._find(collection, {}, {}).toArray();
+      }))).
+      then(results => {
+        const entries = [].concat.apply([], results);
+        const sessions = entries.
+          map(entry => entry.session).
+          filter(session => session !== undefined);
+        process.nextTick(() => callback(null, sessions));
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error gathering sessions',
+          { operation: 'all', cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  MongoDBStore.prototype.length = function(callback) {
+    return this.count({}, callback);
+  };
+
+  /**
+   * Counts unexpired sessions matching `filter`. Like `find()`, paths in
+   * `filter` are relative to the session.
+   *
+   * ####Example:
+   *
+   *     const loggedIn = await store.count({ 'passport.user': userId });
+   *
+   * @param {Object} [filter]
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.count = function(filter, callback) {
+    if (typeof filter === 'function') {
+      callback = filter;
+      filter = {};
+    }
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.count, [filter]);
+    }
+    if (this._closed) {
+      return this._closedError('count', callback);
+    }
+    callback = this._track(callback, 'count');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.count(filter, callback), callback);
+    }
+    const _this = this;
+
+    let query;
+    try {
+      query = this._activeQuery(this._sessionFilter(filter || {}, 'count'));
+    } catch (error) {
+      return process.nextTick(() => _this._errorHandler(error, callback));
+    }
+    this._allCollections().
+      then(collections => Promise.all(collections.map(collection => {
+        return collection.countDocuments(query, _this._driverOptions('admin', readOptionKeys));
+      }))).
+      then(counts => {
+        const count = counts.reduce((sum, count) => sum + count, 0);
+        process.nextTick(() => callback(null, count));
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error counting sessions',
+          { operation: 'count', cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * Returns a cursor over unexpired sessions matching `filter`. Paths in
+   * `filter` and `options.projection` are relative to the session, so
+   * `{ userId: 42 }` matches sessions whose `req.session.userId` is 42.
+   * The cursor yields `{ id, session, expires }` objects, plus `metadata`
+   * with the `metadata` option, and supports `toArray()`, `stream()` and
+   * `for await`.
+   * Session paths can only be queried with the default 'bson' `serialize`
+   * and no `secret`, otherwise `find()`, `count()` and `destroyWhere()`
+   * fail with an 'INVALID_ARGUMENT' error, as does a `projection`. With `ownerPath`, `ownerKey`
+   * matches the owner field, which works with any `serialize` or `secret`.
+   *
+   * ####Example:
+   *
+   *     for await (const { id, session } of store.find({ userId: 42 })) {}
+   *
+   * With `resolveNamespace`, pass the `{ databaseName, collection }` to
+   * search as `options.namespace`.
+   *
+   * @param {Object} [filter]
+   * @param {Object} [options] supports `projection`, `limit`, `skip` and `namespace`
+   * @api public
+   */
+  MongoDBStore.prototype.find = function(filter, options) {
+    if (this._closed) {
+      throw this._error(StoreClosedError, 'Cannot call find() after close()',
+        { operation: 'find' });
+    }
+    if (this.collection == null) {
+      throw this._error(ConnectionError, 'Cannot call find() before the store is connected',
+        { operation: 'find' });
+    }
+    options = options || {};
+
+    let collection = this.collection;
+    if (this.options.resolveNamespace != null) {
+      if (options.namespace == null) {
+        throw this._error(MongoDBStoreError, 'find() requires options.namespace with resolveNamespace',
+          { code: 'INVALID_ARGUMENT', operation: 'find' });
+      }
+      collection = this._namespace(options.namespace);
+    }
+    return this._find(collection, filter, options);
+  };
+
+  MongoDBStore.prototype._find = function(collection, filter, options) {
+    const findOptions = this._driverOptions('admin', readOptionKeys);
+    if (options.projection != null) {
+      findOptions.projection = this._sessionProjection(options.projection);
+    }
+    if (options.limit != null) {
+      findOptions.limit = options.limit;
+    }
+    if (options.skip != null) {
+      findOptions.skip = options.skip;
+    }
+
+    return collection.
+      find(this._activeQuery(this._sessionFilter(filter || {}, 'find')), findOptions).
+      map(doc => this._toEntry(doc));
+  };
+
+  MongoDBStore.prototype._activeQuery = function(query) {
+    const ret = Object.assign({}, query);
+    const now = new Date();
+    // Matches documents with no expiry or timestamps as well, same as get()
+    ret[this.options.expiresKey] = { $not: { $lte: now } };
+    for (const cond of this._timeoutConditions(now)) {
+      const path = Object.keys(cond)[0];
+      ret[path] = { $not: cond[path] };
+    }
+    return ret;
+  };
+
+  /**
+   * Prefixes the paths in `filter` with `session.`, except `ownerKey` with
+   * `ownerPath`, which is a top-level field. Throws for session paths if
+   * the session is stored as a JSON string or encrypted, because the filter
+   * would silently match nothing.
+   */
+  MongoDBStore.prototype._sessionFilter = function(filter, operation) {
+    const ret = {};
+    for (const key of Object.keys(filter)) {
+      if (key === '$and' || key === '$or' || key === '$nor') {
+        ret[key] = filter[key].map(f => this._sessionFilter(f, operation));
+      } else if (key.charAt(0) === '$') {
+        ret[key] = filter[key];
+      } else if (this.options.ownerPath != null && key === this.options.ownerKey) {
+        ret[key] = filter[key];
+      } else {
+        this._checkSessionPaths(operation, 'filter on');
+        ret['session.' + key] = filter[key];
+      }
+    }
+    return ret;
+  };
+
+  /**
+   * Throws if the session is stored as a JSON string or encrypted, because
+   * then MongoDB can't filter on or project paths inside it.
+   */
+  MongoDBStore.prototype._checkSessionPaths = function(operation, verb) {
+    if (this._keys != null || this.options.serialize === 'json') {
+      throw this._error(MongoDBStoreError, operation + '() can only ' + verb + ' session paths ' +
+        'with serialize "bson" and no secret', { code: 'INVALID_ARGUMENT', operation: operation });
+    }
+  };
+
+  MongoDBStore.prototype._sessionProjection = function(projection) {
+    const ret = {};
+    let inclusive = false;
+    for (const key of Object.keys(projection)) {
+      this._checkSessionPaths('find', 'project');
+      ret['session.' + key] = projection[key];
+      inclusive = inclusive || !!projection[key];
+    }
+    if (inclusive) {
+      ret[this.options.idField] = 1;
+      ret[this.options.expiresKey] = 1;
+      if (this._metadata) {
+        ret[this.options.metadata.key] = 1;
+      }
+    }
+    return ret;
+  };
+
+  MongoDBStore.prototype._toEntry = function(doc) {
+    const id = doc[this.options.idField];
+    const ret = {
+      id: id,
+      session: doc.session === undefined ? undefined : this._decode(id, doc.session),
+      expires: doc[this.options.expiresKey]
+    };
+    if (this._metadata) {
+      ret.metadata = doc[this.options.metadata.key] || {};
+    }
+    return ret;
+  };
+
+  MongoDBStore.prototype.destroy = function(id, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.destroy, [id]);
+    }
+    if (this._closed) {
+      return this._closedError('destroy', callback);
+    }
+    callback = this._track(callback, 'destroy', id);
+    if (this._shouldDefer()) {
+      return this._defer(() => this.destroy(id, callback), callback);
+    }
+    const _this = this;
+
+    let collection;
+    try {
+      collection = this._collectionFor(id);
+    } catch (error) {
+      const e = this._error(OperationError, 'Error destroying',
+        { operation: 'destroy', sessionId: id, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    collection.deleteOne(this._generateQuery(id), this._driverOptions('destroy', writeOptionKeys)).
+      then(() => {
+        _this._uncache(id);
+        process.nextTick(() => callback && callback());
+      }).catch(error => {
+        const e = _this._error(OperationError, 'Error destroying',
+          { operation: 'destroy', sessionId: id, cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * Destroys every session matching `filter`, expired or not, and calls
+   * back with the number of sessions removed. Like `find()`, paths in
+   * `filter` are relative to the session. Use `clear()` to remove all
+   * sessions.
+   *
+   * ####Example:
+   *
+   *     // Log out everywhere
+   *     await store.destroyWhere({ 'passport.user': userId });
+   *
+   * @param {Object} filter
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.destroyWhere = function(filter, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.destroyWhere, [filter]);
+    }
+    if (this._closed) {
+      return this._closedError('destroyWhere', callback);
+    }
+    callback = this._track(callback, 'destroyWhere');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.destroyWhere(filter, callback), callback);
+    }
+    const _this = this;
+
+    if (filter == null || Object.keys(filter).length === 0) {
+      const e = this._error(MongoDBStoreError, 'destroyWhere() requires a non-empty filter, ' +
+        'use clear() to destroy all sessions', { code: 'INVALID_ARGUMENT', operation: 'destroyWhere' });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    let query;
+    try {
+      query = this._sessionFilter(filter, 'destroyWhere');
+    } catch (error) {
+      return process.nextTick(() => _this._errorHandler(error, callback));
+    }
+    this._allCollections().
+      then(collections => Promise.all(collections.map(collection => {
+        return collection.deleteMany(query, _this._driverOptions('admin', writeOptionKeys));
+      }))).
+      then(results => {
+        const deletedCount = results.reduce((sum, res) => sum + res.deletedCount, 0);
+        _this._uncache();
+        process.nextTick(() => callback(null, deletedCount));
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error destroying sessions',
+          { operation: 'destroyWhere', cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  MongoDBStore.prototype.clear = function(callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.clear, []);
+    }
+    if (this._closed) {
+      return this._closedError('clear', callback);
+    }
+    callback = this._track(callback, 'clear');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.clear(callback), callback);
+    }
+    const _this = this;
+
+    this._allCollections().
+      then(collections => Promise.all(collections.map(collection => {
+        return collection.deleteMany({}, _this._driverOptions('clear', writeOptionKeys));
+      }))).
+      then(() => {
+        _this._uncache();
+        process.nextTick(() => callback && callback());
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error clearing all sessions',
+          { operation: 'clear', cause: error });
+          return _this._errorHandler(e, callback);
+      });
+  };
+
+  MongoDBStore.prototype.set = function(id, session, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.set, [id, session]);
+    }
+    if (this._closed) {
+      return this._closedError('set', callback);
+    }
+    callback = this._track(callback, 'set', id);
+    if (this._shouldDefer()) {
+      return this._defer(() => this.set(id, session, callback), callback);
+    }
+    const _this = this;
+
+    const versionKey = this.options.versionKey;
+    const original = session;
+    let version = null;
+    if (this._versioned && session != null && session[versionKey] != null) {
+      version = session[versionKey];
+      session = omit(session, [versionKey]);
+    }
+
+    let sess;
+    try {
+      sess = this._encode(id, session);
+      if (this.options.maxSessionSize > 0 || this._measuring()) {
+        const limited = this._limitSize(id, session, sess);
+        sess = limited.sess;
+        callback.stats.size = limited.size;
+      }
+    } catch (error) {
+      const e = error instanceof SessionTooLargeError ?
+        error :
+        this._error(SerializationError, 'Error serializing',
+          { operation: 'set', sessionId: id, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    let collection;
+    try {
+      collection = this._collectionFor(id);
+    } catch (error) {
+      const e = this._error(OperationError, 'Error setting',
+        { operation: 'set', sessionId: id, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    const s = this._generateQuery(id);
+    s.session = sess;
+    s[this.options.expiresKey] = this._getExpires(session);
+
+    let metadata = null;
+    if (this._metadata) {
+      try {
+        metadata = this._metadataUpdate(id, original);
+      } catch (error) {
+        const e = this._error(OperationError, 'Error setting',
+          { operation: 'set', sessionId: id, cause: error });
+        return process.nextTick(() => _this._errorHandler(e, callback));
+      }
+      Object.assign(s, metadata);
+    }
+    let owner = null;
+    if (this.options.ownerPath != null) {
+      owner = getPath(session, this.options.ownerPath);
+      owner = owner === undefined ? null : owner;
+      s[this.options.ownerKey] = owner;
+    }
+
+    const fullUpdate = { $set: s };
+    if (this._versioned) {
+      fullUpdate.$inc = {};
+      fullUpdate.$inc[versionKey] = 1;
+    }
+    if (this._metadata) {
+      fullUpdate.$min = this._createdAtUpdate();
+    }
+
+    const filter = this._generateQuery(id);
+    let update = fullUpdate;
+    let upsert = true;
+    if (this.options.optimisticConcurrency && version != null) {
+      filter[versionKey] = version === 0 ? { $in: [null, 0] } : version;
+      upsert = false;
+    }
+    const diff = version == null ? null : this._diff(id, version, sess);
+    if (diff != null) {
+      diff.$set[this.options.expiresKey] = s[this.options.expiresKey];
+      Object.assign(diff.$set, metadata);
+      if (this.options.ownerPath != null) {
+        diff.$set[this.options.ownerKey] = owner;
+      }
+      update = { $set: diff.$set, $inc: fullUpdate.$inc };
+      if (fullUpdate.$min != null) {
+        update.$min = fullUpdate.$min;
+      }
+      if (Object.keys(diff.$unset).length > 0) {
+        update.$unset = diff.$unset;
+      }
+      upsert = false;
+    }
+
+    const writeOptions = this._driverOptions('set', writeOptionKeys);
+    const upsertOptions = Object.assign({ upsert: true }, writeOptions);
+    let conflict = false;
+    this._limitOwner(collection, id, owner).
+      then(() => collection.updateOne(filter, update, Object.assign({ upsert: upsert }, writeOptions))).
+      then(res => {
+        if (upsert || res.matchedCount > 0) {
+          return res;
+        }
+        if (filter[versionKey] == null) {
+          // Session was destroyed since get(), partial update has nothing
+          // to apply to
+          return collection.updateOne(_this._generateQuery(id), fullUpdate, upsertOptions);
+        }
+
+        const projection = {};
+        projection[_this.options.idField] = 1;
+        // Read from the primary, a lagging secondary could hide the conflict
+        const findOptions = _this._driverOptions('set', ['maxTimeMS'],
+          { projection: projection, readPreference: 'primary' });
+        return collection.findOne(_this._generateQuery(id), findOptions).
+          then(doc => {
+            if (doc != null) {
+              conflict = true;
+              throw new Error('session was modified since version ' + version);
+            }
+            return collection.updateOne(_this._generateQuery(id), fullUpdate, upsertOptions);
+          });
+      }).
+      then(res => {
+        // The write bumped the stored version, so saving the same session
+        // object again must not look like a conflict
+        if (_this._versioned && original != null && typeof original === 'object') {
+          if (res != null && res.upsertedCount > 0) {
+            original[versionKey] = 1;
+          } else if (version != null) {
+            original[versionKey] = version + 1;
+          }
+        }
+        _this._uncache(id);
+        process.nextTick(() => callback && callback());
+      }).catch(error => {
+        if (conflict) {
+          _this._uncache(id);
+          _this._emitter.emit('conflict', id);
+          const e = _this._error(ConflictError, 'Conflict setting',
+            { operation: 'set', sessionId: id, cause: error });
+          return _this._errorHandler(e, callback);
+        }
+        if (error instanceof SessionLimitError) {
+          return _this._errorHandler(error, callback);
+        }
+        const e = _this._error(OperationError, 'Error setting',
+          { operation: 'set', sessionId: id, session: session, cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * With `maxSessionsPerOwner`, makes room before `set()` gives session
+   * `id` to `owner`. Sessions the owner already has are left alone.
+   * Otherwise, if the owner is at the limit, 'evict-oldest' destroys their
+   * oldest sessions and emits 'evicted', and 'reject' fails with a
+   * `SessionLimitError`. Concurrent logins can briefly go over the limit.
+   */
+  MongoDBStore.prototype._limitOwner = function(collection, id, owner) {
+    const max = this.options.maxSessionsPerOwner;
+    if (max <= 0 || owner == null) {
+      return Promise.resolve();
+    }
+
+    const idField = this.options.idField;
+    const createdAt = this.options.metadata.key + '.createdAt';
+    const query = {};
+    query[this.options.ownerKey] = owner;
+    const projection = {};
+    projection[idField] = 1;
+    projection[createdAt] = 1;
+    const sort = {};
+    sort[createdAt] = 1;
+    const findOptions = this._driverOptions('set', ['maxTimeMS'],
+      { projection: projection, sort: sort, readPreference: 'primary' });
+
+    return collection.find(this._activeQuery(query), findOptions).toArray().then(docs => {
+      const ids = docs.map(doc => doc[idField]);
+      if (ids.indexOf(id) !== -1 || ids.length < max) {
+        return;
+      }
+
+      if (this.options.ownerPolicy === 'reject') {
+        const cause = new Error('owner has ' + ids.length + ' sessions, ' +
+          'maxSessionsPerOwner is ' + max);
+        throw this._error(SessionLimitError, 'Error setting',
+          { operation: 'set', sessionId: id, cause: cause });
+      }
+
+      const evicted = ids.slice(0, ids.length - max + 1);
+      const deleteQuery = {};
+      deleteQuery[idField] = { $in: evicted };
+      return collection.deleteMany(deleteQuery, this._driverOptions('destroy', writeOptionKeys)).
+        then(() => {
+          evicted.forEach(evictedId => this._uncache(evictedId));
+          this._emitter.emit('evicted', { owner: owner, ids: evicted, sessionId: id });
+        });
+    });
+  };
+
+  /**
+   * With `metadata`, returns the `$set` that records when the session was
+   * last used, plus whatever `metadata.fields` returns for it, under
+   * `metadata.key`. `createdAt` is written separately, see
+   * `_createdAtUpdate()`.
+   */
+  MongoDBStore.prototype._metadataUpdate = function(id, session) {
+    const key = this.options.metadata.key;
+    const ret = {};
+    ret[key + '.lastAccessedAt'] = new Date();
+
+    const fields = this.options.metadata.fields;
+    if (fields != null) {
+      const extra = fields(session, id) || {};
+      for (const name of Object.keys(extra)) {
+        // Store-managed timestamps win over hook-provided ones
+        if (name !== 'createdAt' && name !== 'lastAccessedAt') {
+          ret[key + '.' + name] = extra[name];
+        }
+      }
+    }
+    return ret;
+  };
+
+  /**
+   * Returns the `$min` that records when the session was created. Unlike
+   * `$setOnInsert`, this also fills in `createdAt` for sessions stored
+   * before `metadata` or the timeouts were turned on, without moving it
+   * for sessions that have one.
+   */
+  MongoDBStore.prototype._createdAtUpdate = function() {
+    const ret = {};
+    ret[this.options.metadata.key + '.createdAt'] = new Date();
+    return ret;
+  };
+
+  /**
+   * Measures the serialized session `sess` for `set()` and applies
+   * `maxSessionSize`. Returns the serialized session to store, which only
+   * differs from `sess` if the 'drop' policy removed keys, and its size in
+   * bytes. Throws a `SessionTooLargeError` if the session is too large and
+   * the policy is 'reject', or 'drop' didn't remove enough.
+   */
+  MongoDBStore.prototype._limitSize = function(id, session, sess) {
+    const maxSize = this.options.maxSessionSize;
+    const size = mongodb.BSON.calculateObjectSize({ session: sess });
+    if (maxSize <= 0 || size <= maxSize) {
+      return { sess: sess, size: size };
+    }
+
+    const policy = this.options.sessionSizePolicy;
+    let dropped = [];
+    let newSize = size;
+    if (policy === 'drop' && session != null && typeof session === 'object') {
+      dropped = this.options.dropKeys.filter(key => key in session);
+      if (dropped.length > 0) {
+        sess = this._encode(id, omit(session, dropped));
+        newSize = mongodb.BSON.calculateObjectSize({ session: sess });
+      }
+    }
+    this._emitter.emit('sessionTooLarge', {
+      id: id,
+      size: size,
+      maxSize: maxSize,
+      policy: policy,
+      dropped: dropped
+    });
+
+    if (policy === 'reject' || (policy === 'drop' && newSize > maxSize)) {
+      const cause = new Error('session is ' + newSize + ' bytes, maxSessionSize is ' + maxSize);
+      throw this._error(SessionTooLargeError, 'Error setting', {
+        operation: 'set',
+        sessionId: id,
+        size: newSize,
+        maxSize: maxSize,
+        cause: cause
+      });
+    }
+    return { sess: sess, size: newSize };
+  };
+
+  /**
+   * Pushes the session's expiry forward without rewriting the session
+   * itself. Called by express-session when `resave` is false.
+   *
+   * If `touchAfter` is set, the write is skipped when the stored expiry
+   * was refreshed less than `touchAfter` seconds ago.
+   */
+  MongoDBStore.prototype.touch = function(id, session, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.touch, [id, session]);
+    }
+    if (this._closed) {
+      return this._closedError('touch', callback);
+    }
+    callback = this._track(callback, 'touch', id);
+    if (this._shouldDefer()) {
+      return this._defer(() => this.touch(id, session, callback), callback);
+    }
+    const _this = this;
+
+    const expires = this._getExpires(session);
+    const query = this._generateQuery(id);
+    if (this.options.touchAfter > 0) {
+      // Stored expiry is at most `touchAfter` seconds behind the new one
+      // means it was refreshed less than `touchAfter` seconds ago
+      query[this.options.expiresKey] = {
+        $lt: new Date(expires.getTime() - this.options.touchAfter * 1000)
+      };
+    }
+    const update = {};
+    update[this.options.expiresKey] = expires;
+
+    let collection;
+    try {
+      if (this._metadata) {
+        Object.assign(update, this._metadataUpdate(id, session));
+      }
+      collection = this._collectionFor(id);
+    } catch (error) {
+      const e = this._error(OperationError, 'Error touching',
+        { operation: 'touch', sessionId: id, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    const fullUpdate = { $set: update };
+    if (this._metadata) {
+      fullUpdate.$min = this._createdAtUpdate();
+    }
+    collection.updateOne(query, fullUpdate, this._driverOptions('set', writeOptionKeys)).
+      then(() => {
+        _this._uncache(id);
+        process.nextTick(() => callback && callback());
+      }).catch(error => {
+        const e = _this._error(OperationError, 'Error touching',
+          { operation: 'touch', sessionId: id, cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * Moves session `oldId` to `newId`, keeping its data and `metadata`
+   * timestamps, and resets its expiry as if it was just set. Uses a
+   * transaction if the deployment supports them, otherwise inserts the new
+   * document before deleting the old one, so there's never a moment with
+   * neither. Fails if `newId` already exists, and calls back with false if
+   * `oldId` doesn't. With a custom `idField`, telling that `newId` exists
+   * requires a unique index on `idField`, see `indexes.uniqueId`.
+   *
+   * ####Example:
+   *
+   *     const renamed = await store.rename(oldId, newId);
+   *
+   * @param {String} oldId
+   * @param {String} newId
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.rename = function(oldId, newId, callback) {
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.rename, [oldId, newId]);
+    }
+    if (this._closed) {
+      return this._closedError('rename', callback);
+    }
+    callback = this._track(callback, 'rename', oldId);
+    if (this._shouldDefer()) {
+      return this._defer(() => this.rename(oldId, newId, callback), callback);
+    }
+    const _this = this;
+
+    let collection;
+    try {
+      collection = this._collectionFor(oldId);
+      if (this._collectionFor(newId).namespace !== collection.namespace) {
+        throw new Error('cannot move a session to another namespace');
+      }
+    } catch (error) {
+      const e = this._error(OperationError, 'Error renaming',
+        { operation: 'rename', sessionId: oldId, cause: error });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    collection.findOne(this._generateQuery(oldId), { readPreference: 'primary' }).
+      then(doc => {
+        if (doc == null) {
+          return false;
+        }
+        return _this._moveDoc(collection, oldId, _this._renamedDoc(oldId, newId, doc)).
+          then(() => true);
+      }).
+      then(renamed => {
+        _this._uncache(oldId);
+        _this._uncache(newId);
+        process.nextTick(() => callback(null, renamed));
+      }).
+      catch(error => {
+        const e = _this._error(OperationError, 'Error renaming',
+          { operation: 'rename', sessionId: oldId, cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  /**
+   * Returns a copy of the session document `doc` for `rename()`, with the
+   * new id, a fresh expiry, and the session re-encrypted if there's a
+   * `secret`, because encrypted sessions are bound to their id.
+   */
+  MongoDBStore.prototype._renamedDoc = function(oldId, newId, doc) {
+    const ret = Object.assign({}, doc);
+    ret[this.options.idField] = newId;
+    if (this.options.idField !== '_id') {
+      delete ret._id;
+    }
+    if (this._keys != null) {
+      const sess = this._decode(oldId, doc.session);
+      if (sess === undefined) {
+        throw new Error('could not decrypt session');
+      }
+      ret.session = this._encode(newId, sess);
+    }
+    ret[this.options.expiresKey] = this._getExpires();
+    if (this._metadata) {
+      const key = this.options.metadata.key;
+      ret[key] = Object.assign({}, doc[key], { lastAccessedAt: new Date() });
+    }
+    return ret;
+  };
+
+  /**
+   * Inserts `doc` and deletes session `oldId` in a transaction, or one
+   * after the other if the deployment doesn't support transactions.
+   */
+  MongoDBStore.prototype._moveDoc = function(collection, oldId, doc) {
+    const query = this._generateQuery(oldId);
+    const writeOptions = this._driverOptions('set', writeOptionKeys);
+    const insertThenDelete = () => collection.insertOne(doc, writeOptions).
+      then(() => collection.deleteOne(query, writeOptions));
+    if (this.client == null || !this._transactions) {
+      return insertThenDelete();
+    }
+
+    // Write concern goes on the transaction, not its operations
+    const transactionOptions = {};
+    if (writeOptions.writeConcern != null) {
+      transactionOptions.writeConcern = writeOptions.writeConcern;
+    }
+    const clientSession = this.client.startSession();
+    return clientSession.
+      withTransaction(() => {
+        return collection.insertOne(doc, { session: clientSession }).
+          then(() => collection.deleteOne(query, { session: clientSession }));
+      }, transactionOptions).
+      then(
+        () => clientSession.endSession(),
+        error => clientSession.endSession().then(() => {
+          if (error.code !== illegalOperation) {
+            throw error;
+          }
+          this._transactions = false;
+          return insertThenDelete();
+        })
+      );
+  };
+
+  /**
+   * Called by express-session's `req.session.regenerate()`. With
+   * `renameOnRegenerate`, moves the session to a new id with `rename()`
+   * and keeps its data, rather than destroying it and starting over.
+   */
+  MongoDBStore.prototype.regenerate = function(req, fn) {
+    if (!this.options.renameOnRegenerate) {
+      return Store.prototype.regenerate.call(this, req, fn);
+    }
+
+    const oldId = req.sessionID;
+    const data = omit(req.session, ['cookie']);
+    this.generate(req);
+    Object.assign(req.session, data);
+    this.rename(oldId, req.sessionID, error => fn(error));
+  };
+
+  /**
+   * Returns a readable stream of every unexpired session as NDJSON, one
+   * `{ id, session, expires }` object per line, for `import()`.
+   *
+   * ####Example:
+   *
+   *     store.export().pipe(fs.createWriteStream('sessions.ndjson'));
+   *
+   * @return {stream.Readable}
+   * @api public
+   */
+  MongoDBStore.prototype.export = function() {
+    if (this._closed) {
+      throw this._error(StoreClosedError, 'Cannot call export() after close()',
+        { operation: 'export' });
+    }
+    const _this = this;
+
+    return stream.Readable.from(async function*() {
+      await _this.ready();
+      for (const collection of await _this._allCollections()) {
+        for await (const entry of _this._find(collection, {}, {})) {
+          if (entry.session === undefined) {
+            continue;
+          }
+          const record = { id: entry.id, session: entry.session, expires: entry.expires };
+          yield JSON.stringify(record) + '\n';
+        }
+      }
+    }());
+  };
+
+  /**
+   * Reads NDJSON `{ id, session, expires }` records, like `export()`
+   * writes, from the stream `input` and stores them in batches. Records
+   * that have already expired are skipped, and records without `expires`
+   * get one the way `set()` would. Calls back with
+   * `{ imported, skipped, expired, batches }`. With a custom `idField`,
+   * 'newer' needs a unique index on `idField`, see `indexes.uniqueId`.
+   *
+   * ####Example:
+   *
+   *     await store.import(fs.createReadStream('sessions.ndjson'), { conflict: 'newer' });
+   *
+   * @param {stream.Readable} input
+   * @param {Object} [options] supports `conflict` ('skip', 'overwrite' or 'newer', default 'skip') and `batchSize` (default 1000)
+   * @param {Function} [callback]
+   * @api public
+   */
+  MongoDBStore.prototype.import = function(input, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if (typeof callback !== 'function') {
+      return toPromise(this, this.import, [input, options]);
+    }
+    if (this._closed) {
+      return this._closedError('import', callback);
+    }
+    callback = this._track(callback, 'import');
+    if (this._shouldDefer()) {
+      return this._defer(() => this.import(input, options, callback), callback);
+    }
+    const _this = this;
+
+    options = options || {};
+    const conflict = options.conflict || 'skip';
+    if (importConflictModes.indexOf(conflict) === -1) {
+      const e = this._error(MongoDBStoreError, 'import() conflict must be one of ' +
+        importConflictModes.map(mode => '"' + mode + '"').join(', '),
+        { code: 'INVALID_ARGUMENT', operation: 'import' });
+      return process.nextTick(() => _this._errorHandler(e, callback));
+    }
+
+    this._importRecords(input, conflict, options.batchSize || 1000).
+      then(stats => {
+        _this._uncache();
+        process.nextTick(() => callback(null, stats));
+      }).
+      catch(error => {
+        _this._uncache();
+        const e = _this._error(OperationError, 'Error importing sessions',
+          { operation: 'import', cause: error });
+        return _this._errorHandler(e, callback);
+      });
+  };
+
+  MongoDBStore.prototype._importRecords = async function(input, conflict, batchSize) {
+    const stats = { imported: 0, skipped: 0, expired: 0, batches: 0 };
+    const lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+    let batch = [];
+    let lineNumber = 0;
+    for await (const line of lines) {
+      ++lineNumber;
+      if (line.trim() === '') {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error('line ' + lineNumber + ' is not valid JSON');
+      }
+      if (record == null || record.id == null) {
+        throw new Error('line ' + lineNumber + ' has no id');
+      }
+
+      const expires = record.expires == null ?
+        this._getExpires(record.session) :
+        new Date(record.expires);
+      if (expires <= new Date()) {
+        ++stats.expired;
+        continue;
+      }
+      batch.push({ id: String(record.id), session: record.session, expires: expires });
+      if (batch.length >= batchSize) {
+        await this._importBatch(batch, conflict, stats);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this._importBatch(batch, conflict, stats);
+    }
+    return stats;
+  };
+
+  /**
+   * Writes one batch of `import()` records with a `bulkWrite()` per
+   * collection. With 'newer', a record whose session exists and expires
+   * later fails to upsert with a duplicate key error, which counts as
+   * skipped.
+   */
+  MongoDBStore.prototype._importBatch = function(batch, conflict, stats) {
+    const ops = new Map();
+    for (const record of batch) {
+      const collection = this._collectionFor(record.id);
+      if (!ops.has(collection)) {
+        ops.set(collection, []);
+      }
+      ops.get(collection).push(this._importOp(record, conflict));
+    }
+
+    ++stats.batches;
+    const writeOptions = this._driverOptions('admin', writeOptionKeys, { ordered: false });
+    const count = (res, total) => {
+      const imported = conflict === 'skip' ?
+        res.upsertedCount :
+        res.upsertedCount + res.matchedCount;
+      stats.imported += imported;
+      stats.skipped += total - imported;
+    };
+    return Promise.all(Array.from(ops).map(entry => {
+      const collection = entry[0];
+      const collectionOps = entry[1];
+      return collection.bulkWrite(collectionOps, writeOptions).then(
+        res => count(res, collectionOps.length),
+        error => {
+          const writeErrors = [].concat(error.writeErrors || []);
+          if (error.result == null || writeErrors.length === 0 ||
+              writeErrors.some(writeError => writeError.code !== duplicateKey)) {
+            throw error;
+          }
+          count(error.result, collectionOps.length);
+        });
+    }));
+  };
+
+  MongoDBStore.prototype._importOp = function(record, conflict) {
+    const doc = {};
+    doc.session = this._encode(record.id, record.session);
+    doc[this.options.expiresKey] = record.expires;
+    if (this.options.ownerPath != null) {
+      const owner = getPath(record.session, this.options.ownerPath);
+      doc[this.options.ownerKey] = owner === undefined ? null : owner;
+    }
+
+    const filter = this._generateQuery(record.id);
+    if (conflict === 'newer') {
+      filter[this.options.expiresKey] = { $lt: record.expires };
+    }
+    const update = conflict === 'skip' ? { $setOnInsert: doc } : { $set: doc };
+    if (this._metadata && conflict === 'skip') {
+      Object.assign(update.$setOnInsert, this._createdAtUpdate());
+    } else if (this._metadata) {
+      update.$min = this._createdAtUpdate();
+    }
+    return { updateOne: { filter: filter, update: update, upsert: true } };
+  };
+
+  MongoDBStore.prototype.on = function() {
+    this._emitter.on.apply(this._emitter, arguments);
+  };
+
+  MongoDBStore.prototype.once = function() {
+    this._emitter.once.apply(this._emitter, arguments);
+  };
+
+  MongoDBStore.prototype.removeListener = function() {
+    this._emitter.removeListener.apply(this._emitter, arguments);
+  };
+
+  return MongoDBStore;
+};
+
+/**
+ * Base class for every error the store reports. `code` is a stable string
+ * to tell failures apart, `operation` is the store method that failed,
+ * `sessionId` is the session it was working on, if any, and `cause` is the
+ * underlying error, usually from the MongoDB driver.
+ */
+class MongoDBStoreError extends Error {
+  constructor(message, props) {
+    props = props || {};
+    super(message);
+    this.name = this.constructor.name;
+    this.code = props.code || this.constructor.code;
+    this.operation = props.operation || null;
+    this.sessionId = props.sessionId == null ? null : props.sessionId;
+    if (props.cause != null) {
+      this.cause = props.cause;
+    }
+  }
+}
+MongoDBStoreError.code = 'STORE_ERROR';
+
+/**
+ * Connecting failed, or an operation gave up waiting for the connection.
+ */
+class ConnectionError extends MongoDBStoreError {}
+ConnectionError.code = 'CONNECTION_FAILED';
+
+/**
+ * The operation was called after, or interrupted by, `close()`.
+ */
+class StoreClosedError extends MongoDBStoreError {}
+StoreClosedError.code = 'STORE_CLOSED';
+
+/**
+ * MongoDB or a `resolveNamespace` function failed during an operation.
+ */
+class OperationError extends MongoDBStoreError {}
+OperationError.code = 'OPERATION_FAILED';
+
+/**
+ * A session could not be serialized, encrypted, or decrypted.
+ */
+class SerializationError extends MongoDBStoreError {}
+SerializationError.code = 'SERIALIZATION_FAILED';
+
+/**
+ * With `optimisticConcurrency`, the session changed since `get()`.
+ */
+class ConflictError extends MongoDBStoreError {}
+ConflictError.code = 'CONFLICT';
+
+/**
+ * `set()` refused a session larger than `maxSessionSize`. `size` and
+ * `maxSize` are in bytes.
+ */
+class SessionTooLargeError extends MongoDBStoreError {
+  constructor(message, props) {
+    super(message, props);
+    this.size = props.size;
+    this.maxSize = props.maxSize;
+  }
+}
+SessionTooLargeError.code = 'SESSION_TOO_LARGE';
+
+/**
+ * With `maxSessionsPerOwner` and the 'reject' `ownerPolicy`, `set()`
+ * refused to give an owner another session.
+ */
+class SessionLimitError extends MongoDBStoreError {}
+SessionLimitError.code = 'SESSION_LIMIT';
+
+module.exports.MongoDBStoreError = MongoDBStoreError;
+module.exports.ConnectionError = ConnectionError;
+module.exports.StoreClosedError = StoreClosedError;
+module.exports.OperationError = OperationError;
+module.exports.SerializationError = SerializationError;
+module.exports.ConflictError = ConflictError;
+module.exports.SessionTooLargeError = SessionTooLargeError;
+module.exports.SessionLimitError = SessionLimitError;
+
+const connectionKeys = ['client', 'db', 'clientPromise'];
+
+function omit(obj, keys) {
+  const ret = {};
+  for (const key of Object.keys(obj)) {
+    if (keys.indexOf(key) === -1) {
+      ret[key] = obj[key];
+    }
+  }
+  return ret;
+}
+
+/**
+ * Bounded LRU cache of session documents for `get()`. Documents are kept
+ * as BSON so every hit returns a fresh copy that callers can modify.
+ */
+function SessionCache(max, maxAge) {
+  this.max = max;
+  this.maxAge = maxAge;
+  this._entries = new Map();
+}
+
+SessionCache.prototype.get = function(id) {
+  const entry = this._entries.get(id);
+  if (entry == null) {
+    return null;
+  }
+  this._entries.delete(id);
+  if (entry.expiresAt <= Date.now()) {
+    return null;
+  }
+  this._entries.set(id, entry);
+  return mongodb.BSON.deserialize(entry.doc);
+};
+
+SessionCache.prototype.set = function(id, doc, expires) {
+  let expiresAt = Date.now() + this.maxAge;
+  if (expires instanceof Date) {
+    expiresAt = Math.min(expiresAt, expires.getTime());
+  }
+
+  this._entries.delete(id);
+  this._entries.set(id, { doc: mongodb.BSON.serialize(doc), expiresAt: expiresAt });
+  if (this._entries.size > this.max) {
+    this._entries.delete(this._entries.keys().next().value);
+  }
+};
+
+SessionCache.prototype.delete = function(id) {
+  this._entries.delete(id);
+};
+
+SessionCache.prototype.clear = function() {
+  this._entries.clear();
+};
+
+// Server error code when an index exists with different options
+const indexOptionsConflict = 85;
+
+// Server error code for transactions on a standalone server
+const illegalOperation = 20;
+
+const duplicateKey = 11000;
+
+// Server error codes when the resume token is no longer usable
+const invalidResumeToken = 260;
+const changeStreamHistoryLost = 286;
+
+const snapshotCacheSize = 10000;
+const snapshotMaxAge = 1000 * 60 * 60; // 1 hour
+
+/**
+ * Returns the value at dotted `path` in `obj`, or undefined.
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((cur, key) => cur == null ? undefined : cur[key], obj);
+}
+
+function bsonEqual(a, b) {
+  return Buffer.compare(mongodb.BSON.serialize({ v: a }), mongodb.BSON.serialize({ v: b })) === 0;
+}
+
+const encryptionVersion = 1;
+
+function deriveKey(secret) {
+  return crypto.scryptSync(secret, 'connect-mongodb-session', 32);
+}
+
+function encrypt(key, id, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(id));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return new mongodb.Binary(Buffer.concat([
+    Buffer.from([encryptionVersion]),
+    iv,
+    cipher.getAuthTag(),
+    data
+  ]));
+}
+
+function decrypt(keys, id, stored) {
+  let buf = null;
+  if (stored instanceof mongodb.Binary) {
+    buf = Buffer.from(stored.buffer.subarray(0, stored.position));
+  } else if (Buffer.isBuffer(stored)) {
+    buf = stored;
+  } else {
+    throw new Error('session is not encrypted');
+  }
+  if (buf.length < 29 || buf[0] !== encryptionVersion) {
+    throw new Error('unsupported format');
+  }
+
+  const iv = buf.subarray(1, 13);
+  const tag = buf.subarray(13, 29);
+  const data = buf.subarray(29);
+  for (const key of keys) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(Buffer.from(id));
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(data), decipher.final()]);
+    } catch (error) {
+      // Wrong key or tampered data, try the next key
+    }
+  }
+  throw new Error('no key could decrypt the session');
+}
+
+/**
+ * Whether a change stream error is worth reopening the stream for, as
+ * opposed to e.g. an option the server doesn't support.
+ */
+function isResumable(error) {
+  return error instanceof mongodb.MongoNetworkError ||
+    error instanceof mongodb.MongoServerSelectionError ||
+    (error instanceof mongodb.MongoError &&
+      error.hasErrorLabel(mongodb.MongoErrorLabel.ResumableChangeStreamError));
+}
+
+/**
+ * Whether a driver error means MongoDB could not be reached at all.
+ */
+function isUnavailable(error) {
+  return error instanceof mongodb.MongoNetworkError ||
+    error instanceof mongodb.MongoServerSelectionError ||
+    error instanceof mongodb.MongoNotConnectedError ||
+    error instanceof mongodb.MongoTopologyClosedError;
+}
+
+function toPromise(store, fn, args) {
+  return new Promise((resolve, reject) => {
+    fn.apply(store, args.concat([(error, res) => {
+      if (error != null) {
+        return reject(error);
+      }
+      resolve(res);
+    }]));
+  });
+}
 
 function handleError(error, callback) {
   if (this._emitter.listeners('error').length) {
@@ -0,0 +1,186 @@
+'use strict';
+
+/**
+ * Adapters that turn a `MongoDBStore`'s 'operation' events into metrics
+ * for dashboards.
+ *
+ * ####Example:
+ *
+ *     const metrics = require('connect-mongodb-session/metrics');
+ *     const prometheus = metrics.prometheus(store);
+ *     app.get('/metrics', (req, res) => {
+ *       res.type(prometheus.contentType).send(prometheus.metrics());
+ *     });
+ */
+
+const defaultDurationBuckets = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const defaultSizeBuckets = [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304];
+
+/**
+ * Collects counters and histograms for every store operation and renders
+ * them in the Prometheus text exposition format.
+ *
+ * @param {MongoDBStore} store
+ * @param {Object} [options] supports `prefix`, `durationBuckets` (seconds) and `sizeBuckets` (bytes)
+ * @return {Object} with `metrics()`, `contentType`, `reset()` and `stop()`
+ * @api public
+ */
+exports.prometheus = function(store, options) {
+  options = options || {};
+  const prefix = options.prefix || 'connect_mongodb_session';
+  const durationBuckets = options.durationBuckets || defaultDurationBuckets;
+  const sizeBuckets = options.sizeBuckets || defaultSizeBuckets;
+
+  let operations;
+  let gets;
+  let durations;
+  let sizes;
+  const reset = () => {
+    operations = new Counter(prefix + '_operations_total',
+      'Store operations by operation and result');
+    gets = new Counter(prefix + '_get_total',
+      'get() calls by whether they found a session');
+    durations = new Histogram(prefix + '_operation_duration_seconds',
+      'Time spent in store operations', durationBuckets);
+    sizes = new Histogram(prefix + '_session_size_bytes',
+      'Size of the serialized sessions written by set()', sizeBuckets);
+  };
+  reset();
+
+  const onOperation = stats => {
+    const operation = { operation: stats.operation };
+    operations.inc({ operation: stats.operation, result: stats.error == null ? 'success' : 'error' });
+    durations.observe(operation, stats.duration / 1000);
+    if (stats.operation === 'get' && stats.error == null) {
+      gets.inc({ result: stats.expired ? 'expired' : stats.hit ? 'hit' : 'miss' });
+    }
+    if (stats.size != null) {
+      sizes.observe(operation, stats.size);
+    }
+  };
+  store.on('operation', onOperation);
+
+  return {
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    metrics: () => [operations, gets, durations, sizes].
+      map(metric => metric.render()).
+      join(''),
+    reset: reset,
+    stop: () => store.removeListener('operation', onOperation)
+  };
+};
+
+/**
+ * Records a span for every store operation using an OpenTelemetry
+ * compatible `tracer`, e.g. `require('@opentelemetry/api').trace.getTracer()`.
+ * Session ids are left out of the span attributes.
+ *
+ * @param {MongoDBStore} store
+ * @param {Tracer} tracer
+ * @return {Function} stops tracing
+ * @api public
+ */
+exports.tracing = function(store, tracer) {
+  const onOperation = stats => {
+    const attributes = {
+      'db.system': 'mongodb',
+      'db.operation': stats.operation
+    };
+    if (stats.operation === 'get') {
+      attributes['session.hit'] = !!stats.hit;
+      attributes['session.expired'] = !!stats.expired;
+    }
+    if (stats.size != null) {
+      attributes['session.size'] = stats.size;
+    }
+
+    const span = tracer.startSpan('session.' + stats.operation, {
+      startTime: stats.startTime,
+      attributes: attributes
+    });
+    if (stats.error != null) {
+      span.recordException(stats.error);
+      span.setStatus({ code: spanStatusError, message: stats.error.message });
+    }
+    span.end(new Date(stats.startTime.getTime() + stats.duration));
+  };
+  store.on('operation', onOperation);
+
+  return () => store.removeListener('operation', onOperation);
+};
+
+// `SpanStatusCode.ERROR` in @opentelemetry/api
+const spanStatusError = 2;
+
+function Counter(name, help) {
+  this.name = name;
+  this.help = help;
+  this._values = new Map();
+}
+
+Counter.prototype.inc = function(labels) {
+  const key = renderLabels(labels);
+  this._values.set(key, (this._values.get(key) || 0) + 1);
+};
+
+Counter.prototype.render = function() {
+  let ret = '# HELP ' + this.name + ' ' + this.help + '\n' +
+    '# TYPE ' + this.name + ' counter\n';
+  for (const entry of this._values) {
+    ret += this.name + entry[0] + ' ' + entry[1] + '\n';
+  }
+  return ret;
+};
+
+function Histogram(name, help, buckets) {
+  this.name = name;
+  this.help = help;
+  this.buckets = buckets.slice().sort((a, b) => a - b);
+  this._values = new Map();
+}
+
+Histogram.prototype.observe = function(labels, value) {
+  const key = JSON.stringify(labels);
+  let entry = this._values.get(key);
+  if (entry == null) {
+    entry = { labels: labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this._values.set(key, entry);
+  }
+  this.buckets.forEach((bucket, i) => {
+    if (value <= bucket) {
+      ++entry.counts[i];
+    }
+  });
+  entry.sum += value;
+  ++entry.count;
+};
+
+Histogram.prototype.render = function() {
+  let ret = '# HELP ' + this.name + ' ' + this.help + '\n' +
+    '# TYPE ' + this.name + ' histogram\n';
+  for (const entry of this._values.values()) {
+    this.buckets.forEach((bucket, i) => {
+      const labels = Object.assign({}, entry.labels, { le: String(bucket) });
+      ret += this.name + '_bucket' + renderLabels(labels) + ' ' + entry.counts[i] + '\n';
+    });
+    const labels = Object.assign({}, entry.labels, { le: '+Inf' });
+    ret += this.name + '_bucket' + renderLabels(labels) + ' ' + entry.count + '\n' +
+      this.name + '_sum' + renderLabels(entry.labels) + ' ' + entry.sum + '\n' +
+      this.name + '_count' + renderLabels(entry.labels) + ' ' + entry.count + '\n';
+  }
+  return ret;
+};
+
+function renderLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) {
+    return '';
+  }
+  return '{' + keys.map(key => {
+    const value = String(labels[key]).
+      replace(/\\/g, '\\\\').
+      replace(/\n/g, '\\n').
+      replace(/"/g, '\\"');
+    return key + '="' + value + '"';
+  }).join(',') + '}';
+}
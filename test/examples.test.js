@@ -89,6 +89,7 @@ describe('MongoDBStore', function() {
     });
 
     server = app.listen(3000);
+    // acquit:ignore:start
 
     let count = await underlyingDb.collection('mySessions').countDocuments({});
     assert.equal(0, count);
@@ -104,20 +105,23 @@ describe('MongoDBStore', function() {
     await store.clear();
     count = await underlyingDb.collection('mySessions').countDocuments({});
     assert.equal(count, 0);
+    // acquit:ignore:end
   });
 
   /**
-   *  You should pass a callback to the `MongoDBStore` constructor to catch
-   *  errors. If you don't pass a callback to the `MongoDBStore` constructor,
-   *  `MongoDBStore` will `throw` if it can't connect.
+   *  You should pass a callback to the `MongoDBStore` constructor, or listen
+   *  for 'error' events, to catch errors. If it can't connect, `MongoDBStore`
+   *  reports the error to both, and `store.ready()` rejects with it.
    */
-  it('throws an error when it can\'t connect to MongoDB', function(done) {
+  it('reports an error when it can\'t connect to MongoDB', function(done) {
     var express = require('express');
     var session = require('express-session');
     var MongoDBStore = require('connect-mongodb-session')(session);
 
     var app = express();
+    // acquit:ignore:start
     var numExpectedSources = 2;
+    // acquit:ignore:end
     var store = new MongoDBStore(
       {
         uri: 'mongodb://bad.host:27000/connect_mongodb_session_test?serverSelectionTimeoutMS=100',
@@ -160,6 +164,450 @@ describe('MongoDBStore', function() {
     server = app.listen(3000);
   });
 
+  /**
+   *  Every store method returns a promise if you don't pass a callback.
+   *  `store.ready()` returns a promise that resolves once the store is
+   *  connected, or rejects if it couldn't connect.
+   *  `store.close()` shuts the store down.
+   */
+  it('supports promises', async function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+    await store.ready();
+
+    await store.set('mySessionId', { cookie: {}, views: 1 });
+    const sess = await store.get('mySessionId');
+    // acquit:ignore:start
+    assert.equal(sess.views, 1);
+    // acquit:ignore:end
+    await store.destroy('mySessionId');
+
+    // Waits for pending operations, then closes the store's MongoClient
+    await store.close();
+  });
+
+  /**
+   *  `store.all()` returns every unexpired session. To look up a subset of
+   *  sessions without loading the whole collection, use `store.find()`.
+   *  Filter and projection paths are relative to the session, and the
+   *  returned cursor yields `{ id, session, expires }` objects. Encrypted
+   *  or JSON sessions have no paths to query, so with `secret` or
+   *  `serialize: 'json'` session-path filters and projections fail with an
+   *  'INVALID_ARGUMENT' error.
+   */
+  it('can find sessions', async function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+
+    await store.set('session1', { cookie: {}, userId: 42 });
+    await store.set('session2', { cookie: {}, userId: 43 });
+
+    const sessions = await store.all();
+    // acquit:ignore:start
+    assert.equal(sessions.length, 2);
+    // acquit:ignore:end
+
+    const cursor = store.find({ userId: 42 }, { projection: { userId: 1 } });
+    const found = await cursor.toArray();
+    found[0].id; // 'session1'
+    found[0].session; // { userId: 42 }
+    // acquit:ignore:start
+    assert.equal(found.length, 1);
+    assert.equal(found[0].id, 'session1');
+    assert.deepStrictEqual(found[0].session, { userId: 42 });
+    // acquit:ignore:end
+
+    // `store.length()` counts every unexpired session, `store.count()`
+    // counts the ones that match a filter.
+    const total = await store.length(); // 2
+    const forUser = await store.count({ userId: 42 }); // 1
+    // acquit:ignore:start
+    assert.equal(total, 2);
+    assert.equal(forUser, 1);
+    // acquit:ignore:end
+
+    // `store.destroyWhere()` removes every session that matches a filter,
+    // for example to log a user out everywhere.
+    const removed = await store.destroyWhere({ userId: 42 }); // 1
+    // acquit:ignore:start
+    assert.equal(removed, 1);
+    // acquit:ignore:end
+  });
+
+  /**
+   *  By default, `MongoDBStore` creates its own `MongoClient`. To share the
+   *  connection pool your app already has, pass a `client`, a `db`, or a
+   *  `clientPromise` that resolves to a client. The store still creates
+   *  its TTL index, but leaves connecting and closing the client to you.
+   */
+  it('can reuse an existing MongoClient', async function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    const client = await mongodb.MongoClient.connect(
+      'mongodb://127.0.0.1:27017/connect_mongodb_session_test'
+    );
+
+    var store = new MongoDBStore({
+      client: client,
+      databaseName: 'connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+    // acquit:ignore:start
+    await store.ready();
+    assert.strictEqual(store.client, client);
+    await client.close();
+    // acquit:ignore:end
+  });
+
+  /**
+   *  Set the `secret` option to encrypt sessions at rest with AES-256-GCM.
+   *  The session id and expiry stay in plaintext so the TTL index still
+   *  works. To rotate keys, pass an array: the first secret encrypts, and
+   *  every secret in the list can decrypt. Sessions that can't be decrypted
+   *  are treated as missing and trigger a 'decryptionError' event.
+   */
+  it('can encrypt sessions', function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      secret: ['new secret', 'old secret']
+    });
+
+    store.on('decryptionError', function(error, id) {
+      console.log('Could not decrypt session', id);
+    });
+  });
+
+  /**
+   *  With the `watch` option, the store opens a [change stream](https://www.mongodb.com/docs/manual/changeStreams/)
+   *  on the sessions collection and emits 'session:set', 'session:destroy'
+   *  and 'session:expired' events for changes made by any app server. It
+   *  also keeps the `cacheSize` cache in sync across servers. Change streams
+   *  require a replica set or sharded cluster. With a custom `idField`,
+   *  deleted sessions are only reported with `watchPreImages`, because
+   *  delete events don't carry the `idField` otherwise.
+   */
+  it('can watch for session changes', function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      watch: true
+    });
+
+    store.on('session:destroy', function(id) {
+      // Session `id` was destroyed, possibly by another app server
+    });
+    store.on('session:expired', function(id) {
+      // Only reported with the `watchPreImages` option (MongoDB 6.0+) and
+      // `changeStreamPreAndPostImages` enabled on the collection, otherwise
+      // expired sessions show up as 'session:destroy'
+    });
+    // acquit:ignore:start
+    return store.close();
+    // acquit:ignore:end
+  });
+
+  /**
+   *  By default, `set()` overwrites the whole session, so two concurrent
+   *  requests for the same session can undo each other's changes. With
+   *  `partialUpdates`, `set()` only writes the top-level keys that changed
+   *  since `get()`. With `optimisticConcurrency`, `set()` fails and emits
+   *  'conflict' if the session changed since `get()`. Both track the
+   *  session's version in the `versionKey` property, `__v` by default.
+   *  `partialUpdates` requires the default 'bson' serialization and no
+   *  `secret`.
+   */
+  it('can handle concurrent requests', function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      partialUpdates: true,
+      optimisticConcurrency: true
+    });
+
+    store.on('conflict', function(id) {
+      // Session `id` was modified by another request since it was loaded
+    });
+  });
+
+  /**
+   *  If you serve several tenants from one app, `resolveNamespace` lets you
+   *  store each tenant's sessions in its own database or collection. It gets
+   *  the session id and returns `{ databaseName, collection }`; either key
+   *  falls back to the store's own. All namespaces share one connection, and
+   *  the store creates indexes in a namespace the first time it's used.
+   *  `all()`, `length()`, `clear()`, and `sweep()` cover the namespaces in
+   *  the `namespaces` option, or every namespace the store has used so far.
+   *  `find()` requires `options.namespace`, and `watch` only covers the
+   *  store's default namespace.
+   */
+  it('can store sessions per tenant', function() {
+    var express = require('express');
+    var session = require('express-session');
+    var uuid = require('crypto').randomUUID;
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      // Session ids look like 'acme:<uuid>'
+      resolveNamespace: function(id) {
+        return { databaseName: 'tenant_' + id.split(':')[0] };
+      },
+      namespaces: [{ databaseName: 'tenant_acme' }, { databaseName: 'tenant_globex' }]
+    });
+
+    var app = express();
+    app.use(session({
+      secret: 'This is a secret',
+      store: store,
+      genid: function(req) {
+        return req.hostname.split('.')[0] + ':' + uuid();
+      },
+      resave: false,
+      saveUninitialized: false
+    }));
+  });
+
+  /**
+   *  The store emits an 'operation' event when `get()`, `set()`, `destroy()`,
+   *  `clear()`, `all()`, or any other operation finishes. The event has the
+   *  `operation`, the session `id`, `startTime`, `duration` in milliseconds,
+   *  and `error`. `get()` also reports whether it found a session (`hit`) and
+   *  whether the session had `expired` and was destroyed, and `set()` reports
+   *  the `size` of the serialized session in bytes. `connect-mongodb-session/metrics`
+   *  turns these events into Prometheus metrics or OpenTelemetry spans.
+   */
+  it('can report metrics', function() {
+    var express = require('express');
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+    var metrics = require('connect-mongodb-session/metrics');
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+
+    store.on('operation', function(stats) {
+      // stats.operation, stats.duration, stats.hit, stats.size, stats.error
+    });
+
+    // Counters and histograms in the Prometheus text format
+    var prometheus = metrics.prometheus(store);
+    var app = express();
+    app.get('/metrics', function(req, res) {
+      res.type(prometheus.contentType).send(prometheus.metrics());
+    });
+
+    // Or spans with an OpenTelemetry tracer, e.g.
+    // `require('@opentelemetry/api').trace.getTracer('sessions')`
+    // metrics.tracing(store, tracer);
+  });
+
+  /**
+   *  With the `metadata` option, `set()` and `touch()` record when a session
+   *  was created and last used, in a `metadata` field next to `session`, so
+   *  `get()` still returns the plain session. `metadata.fields` adds your own
+   *  fields: it gets the session and its id, and with express-session
+   *  `session.req` is the current request. `find()` returns the metadata with
+   *  each session, which is handy for a "manage your devices" page.
+   */
+  it('can record session metadata', function() {
+    var express = require('express');
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      metadata: {
+        // Stored as `metadata.createdAt`, `metadata.lastAccessedAt`,
+        // `metadata.userAgent` and `metadata.ip`
+        key: 'metadata',
+        fields: function(session, id) {
+          return {
+            userAgent: session.req.get('user-agent'),
+            ip: session.req.ip
+          };
+        }
+      }
+    });
+
+    var app = express();
+    app.get('/devices', async function(req, res) {
+      var devices = await store.find({ userId: req.session.userId }).toArray();
+      // [{ id, session, expires, metadata: { createdAt, lastAccessedAt, userAgent, ip } }]
+      res.json(devices.map(function(device) { return device.metadata; }));
+    });
+  });
+
+  /**
+   *  `req.session.regenerate()` destroys the old session and starts an empty
+   *  one, so a concurrent request in between sees no session, and any
+   *  `metadata` is lost. `store.rename(oldId, newId)` moves a session to a new
+   *  id instead, in a transaction if your deployment supports them, or by
+   *  inserting the new document before deleting the old one. It keeps the
+   *  `metadata` timestamps and resets the expiry. With `renameOnRegenerate`,
+   *  `req.session.regenerate()` uses `rename()` and keeps the session's data.
+   */
+  it('can rename sessions', function() {
+    var express = require('express');
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      renameOnRegenerate: true
+    });
+
+    var app = express();
+    app.use(session({
+      secret: 'This is a secret',
+      store: store,
+      resave: false,
+      saveUninitialized: false
+    }));
+
+    app.post('/login', function(req, res, next) {
+      // New session id to prevent session fixation, same session data
+      req.session.regenerate(function(error) {
+        if (error) {
+          return next(error);
+        }
+        req.session.userId = 42;
+        res.send('Logged in');
+      });
+    });
+  });
+
+  /**
+   *  `store.export()` returns a stream of every unexpired session as NDJSON,
+   *  one `{ id, session, expires }` object per line, and `store.import()` reads
+   *  that format back. Import writes in batches of `batchSize`, skips records
+   *  that have already expired, and handles sessions that already exist based
+   *  on `conflict`: 'skip' (the default) keeps them, 'overwrite' replaces
+   *  them, and 'newer' keeps whichever expires later. The
+   *  `connect-mongodb-session` command wraps both, which is handy for moving
+   *  sessions between clusters or from another session store.
+   */
+  it('can export and import sessions', function() {
+    var fs = require('fs');
+    var os = require('os');
+    var path = require('path');
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+
+    var file = path.join(os.tmpdir(), 'sessions.ndjson');
+    var output = fs.createWriteStream(file);
+    store.export().pipe(output);
+
+    var imported = new Promise(function(resolve, reject) {
+      output.on('finish', resolve);
+      output.on('error', reject);
+    }).then(function() {
+      return store.import(fs.createReadStream(file), { conflict: 'newer', batchSize: 1000 });
+    }).then(function(stats) {
+      // { imported, skipped, expired, batches }
+      // acquit:ignore:start
+      assert.equal(stats.expired, 0);
+      // acquit:ignore:end
+    });
+    // acquit:ignore:start
+    return imported.finally(function() {
+      fs.unlinkSync(file);
+    });
+    // acquit:ignore:end
+
+    // Or from the command line, with the store's `secret`, if any, in the
+    // CONNECT_MONGODB_SESSION_SECRET environment variable:
+    // connect-mongodb-session export --uri mongodb://127.0.0.1:27017/app > sessions.ndjson
+    // connect-mongodb-session import --uri mongodb://127.0.0.1:27017/app --conflict newer < sessions.ndjson
+  });
+
+  /**
+   *  With `ownerPath`, `set()` copies the session's owner, like the user id
+   *  Passport stores in `passport.user`, into an indexed top-level field,
+   *  `ownerKey` ('owner' by default). `maxSessionsPerOwner` then limits how
+   *  many sessions each owner can have. When an owner with that many sessions
+   *  logs in again, the 'evict-oldest' `ownerPolicy` destroys their oldest
+   *  sessions and emits 'evicted' with the session ids, and 'reject' fails
+   *  `set()` with a `SessionLimitError`. Concurrent logins can briefly go over
+   *  the limit. `find()`, `count()` and `destroyWhere()` treat `ownerKey` as
+   *  the owner field rather than a session path, even with `secret`, so
+   *  `store.destroyWhere({ owner: userId })` logs a user out everywhere.
+   */
+  it('can limit sessions per user', function() {
+    var session = require('express-session');
+    var MongoDBStore = require('connect-mongodb-session')(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions',
+      ownerPath: 'passport.user',
+      maxSessionsPerOwner: 3,
+      ownerPolicy: 'evict-oldest'
+    });
+
+    store.on('evicted', function(event) {
+      // event.owner lost sessions event.ids when session event.sessionId logged in
+    });
+  });
+
+  /**
+   *  Every error the store reports is a `MongoDBStoreError` with a `code`,
+   *  the `operation` that failed, the `sessionId` it was working on, and the
+   *  underlying driver error as `cause`. Subclasses tell common failures
+   *  apart: `ConnectionError`, `StoreClosedError`, `OperationError`,
+   *  `SerializationError`, `ConflictError`, `SessionTooLargeError`, and
+   *  `SessionLimitError`. Error messages never include session data unless
+   *  you set `errorDetail` to 'full'.
+   */
+  it('reports structured errors', function() {
+    var session = require('express-session');
+    var connectMongoDBSession = require('connect-mongodb-session');
+    var MongoDBStore = connectMongoDBSession(session);
+
+    var store = new MongoDBStore({
+      uri: 'mongodb://127.0.0.1:27017/connect_mongodb_session_test',
+      collection: 'mySessions'
+    });
+
+    store.on('error', function(error) {
+      if (error instanceof connectMongoDBSession.ConnectionError) {
+        // error.code is 'CONNECTION_FAILED', 'BUFFER_FULL' or 'BUFFER_TIMEOUT'
+      } else if (error instanceof connectMongoDBSession.MongoDBStoreError) {
+        // error.operation, error.sessionId, error.cause
+      }
+    });
+  });
+
   /**
    * There are several other options you can pass to `new MongoDBStore()`:
    */
@@ -180,7 +628,108 @@ describe('MongoDBStore', function() {
       // configuring connectivity or working around deprecation warnings.
       connectionOptions: {
         serverSelectionTimeoutMS: 10000
-      }
+      },
+
+      // With `resave: false`, express-session calls `touch()` to push the
+      // expiry forward. `touchAfter` skips that write if the stored expiry
+      // was refreshed less than this many seconds ago.
+      touchAfter: 60 * 60, // 1 hour in seconds
+
+      // By default, sessions are stored as BSON subdocuments. Set `serialize` to
+      // 'json' to store them as JSON strings, for example if session keys may
+      // contain '.' or '$'. You can also pass your own `serialize` and
+      // `unserialize` functions.
+      serialize: 'json',
+
+      // Keeps up to `cacheSize` sessions in memory for `cacheMaxAge` milliseconds
+      // so bursts of requests don't each hit MongoDB. set() and destroy() on
+      // this store invalidate the cache. Off by default.
+      cacheSize: 1000,
+      cacheMaxAge: 1000,
+
+      // If MongoDB is unreachable at startup, retry connecting up to
+      // `connectRetries` times, doubling `connectRetryDelay` milliseconds
+      // each time. The store emits 'reconnecting' before each retry.
+      connectRetries: 5,
+      connectRetryDelay: 1000,
+
+      // Queue operations until the store is connected instead of sending
+      // them straight to the driver. `bufferTimeoutMS` and `bufferMaxSize`
+      // bound how long and how many operations can wait.
+      bufferOperations: true,
+      bufferTimeoutMS: 5000,
+      bufferMaxSize: 1000,
+
+      // If MongoDB is unreachable, `get()` reports the error through the
+      // 'error' event and acts as if there is no session, rather than
+      // failing the request.
+      missingOnError: true,
+
+      // MongoDB's TTL monitor deletes expired sessions about once a minute,
+      // and doesn't run on some deployments. `sweepInterval` deletes expired
+      // sessions every so many milliseconds, `sweepBatchSize` at a time, and
+      // emits 'sweep' with stats. You can also call `store.sweep()` yourself.
+      sweepInterval: 1000 * 60 * 5, // 5 minutes
+      sweepBatchSize: 1000,
+
+      // Controls the indexes the store creates when it connects:
+      // * `autoCreate`: set to false to manage indexes yourself
+      // * `updateTTL`: if the TTL index exists with a different
+      //   `expiresAfterSeconds`, update it with `collMod` instead of failing
+      // * `additional`: extra indexes, in `createIndexes()` format
+      // * `uniqueId`: with a custom `idField`, create a unique index on it,
+      //   which `rename()` and `import({ conflict: 'newer' })` need. If that
+      //   fails, the store emits 'warning' and keeps going
+      indexes: {
+        autoCreate: true,
+        updateTTL: true,
+        uniqueId: false,
+        additional: [{ key: { 'session.passport.user': 1 } }]
+      },
+
+      // How much detail error messages include. 'redacted', the default,
+      // includes session ids and driver messages but never session data.
+      // 'minimal' leaves out ids and driver messages too, and 'full' also
+      // includes the session that `set()` failed to store.
+      errorDetail: 'redacted',
+
+      // Checks the size of the serialized session before `set()` sends it
+      // to MongoDB. If it's over `maxSessionSize` bytes, the store emits
+      // 'sessionTooLarge' with the session id and size, then applies
+      // `sessionSizePolicy`:
+      // * 'reject': fail with a `SessionTooLargeError` (the default)
+      // * 'warn': store the session anyway
+      // * 'drop': remove the keys in `dropKeys` and store the rest, or
+      //   fail if it's still too large
+      maxSessionSize: 1024 * 1024, // 1MB
+      sessionSizePolicy: 'drop',
+      dropKeys: ['cart', 'flash'],
+
+      // Driver options per kind of operation, instead of the MongoClient's
+      // defaults. `readPreference`, `readConcern` and `maxTimeMS` apply to
+      // reads, `writeConcern` and `maxTimeMS` to writes. `set` also covers
+      // `touch()`, and `admin` covers `all()`, `count()`, `find()`,
+      // `destroyWhere()` and `sweep()`. If `get()` reads from a secondary
+      // and finds nothing, it asks the primary, in case the session hasn't
+      // replicated yet.
+      operationOptions: {
+        get: { readPreference: 'nearest', maxTimeMS: 1000 },
+        set: { writeConcern: { w: 'majority' } },
+        destroy: { writeConcern: { w: 'majority' } },
+        clear: { writeConcern: { w: 'majority' }, maxTimeMS: 60000 },
+        admin: { readPreference: 'secondaryPreferred', maxTimeMS: 10000 }
+      },
+
+      // Limits on how long a session lives, in milliseconds, no matter what
+      // its cookie says. `absoluteTimeout` counts from when the session was
+      // created, `idleTimeout` from when `set()` or `touch()` last saw it.
+      // `get()` destroys sessions past either limit. The timestamps are
+      // stored in `metadata`, so keep `touchAfter` well below
+      // `idleTimeout`. Sessions stored before you turn these on get their
+      // timestamps the next time `set()` or `touch()` sees them, so
+      // `absoluteTimeout` counts from then.
+      absoluteTimeout: 1000 * 60 * 60 * 8, // 8 hours
+      idleTimeout: 1000 * 60 * 30 // 30 minutes
     });
   });
 });
@@ -57,6 +57,77 @@ describe('connectMongoDBSession', function() {
     });
   });
 
+  describe('existing connections', function() {
+    beforeEach(function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('can reuse a MongoClient', function() {
+      const connect = sinon.stub(mongodb.MongoClient.prototype, 'connect');
+      const client = new mongodb.MongoClient('mongodb://127.0.0.1:27017/app');
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ client: client, databaseName: 'other_db' });
+
+      assert.strictEqual(store.client, client);
+      assert.equal(store.db.databaseName, 'other_db');
+      assert.equal(store.collection.collectionName, 'sessions');
+      assert.ok(!store._ownsClient);
+      assert.equal(store.options.client, undefined);
+      return store.ready().then(() => {
+        assert.ok(!connect.called);
+        assert.ok(store.collection.createIndex.calledOnce);
+      });
+    });
+
+    it('can reuse a Db', function() {
+      const client = new mongodb.MongoClient('mongodb://127.0.0.1:27017/app');
+      const db = client.db('app');
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ db: db, collection: 'notSessions' });
+
+      assert.strictEqual(store.db, db);
+      assert.strictEqual(store.client, client);
+      assert.equal(store.collection.collectionName, 'notSessions');
+      assert.ok(!store._ownsClient);
+      return store.ready();
+    });
+
+    it('defers operations until clientPromise resolves', function(done) {
+      const client = new mongodb.MongoClient('mongodb://127.0.0.1:27017/app');
+      let resolve;
+      const clientPromise = new Promise(_resolve => { resolve = _resolve; });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ clientPromise: clientPromise });
+      assert.equal(store.collection, null);
+
+      store.get('1234', function(error, session) {
+        assert.ifError(error);
+        assert.deepStrictEqual(session, { data: 1 });
+        assert.strictEqual(store.client, client);
+        done();
+      });
+
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } });
+      });
+      resolve(client);
+    });
+
+    it('reports clientPromise rejections', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ clientPromise: Promise.reject(new Error('no client')) }, () => {});
+
+      store.get('1234', function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error connecting to db: no client');
+        done();
+      });
+    });
+  });
+
   it('can get Store object from Express 3', function(done) {
     var SessionStore = connectMongoDBSession({ session: { Store: StoreStub } });
     assert.ok(SessionStore.prototype.connectMongoDB);
@@ -84,22 +155,22 @@ describe('connectMongoDBSession', function() {
     });
   });
 
-  it('throws an error when connection fails and no callback', function(done) {
+  it('does not throw when connection fails and no callback', function() {
     sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => {
       return Promise.reject(new Error('Cant connect'));
     });
 
     var SessionStore = connectMongoDBSession({ Store: StoreStub });
 
-    var threw = false;
-    try {
-      new SessionStore();
-    } catch (error) {
-      threw = true;
-      assert.equal(error.message, 'Error connecting to db: Cant connect');
-    }
+    var store;
+    assert.doesNotThrow(() => {
+      store = new SessionStore();
+    });
 
-    done();
+    return store.ready().then(
+      () => assert.ok(false),
+      error => assert.equal(error.message, 'Error connecting to db: Cant connect')
+    );
   });
 
   it('passes error to callback if specified', function(done) {
@@ -132,6 +203,1753 @@ describe('connectMongoDBSession', function() {
     });
   });
 
+  describe('indexes', function() {
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+    });
+
+    it('can turn off automatic index creation', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ indexes: { autoCreate: false } });
+
+      return store.ready().then(() => {
+        assert.ok(!store.collection.createIndex.called);
+      });
+    });
+
+    it('updates a conflicting TTL index with updateTTL', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => {
+        const error = new Error('Index with name: expires_1 already exists with different options');
+        error.code = 85;
+        return Promise.reject(error);
+      });
+      const command = sinon.stub(mongodb.Db.prototype, 'command').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ expiresAfterSeconds: 60, indexes: { updateTTL: true } });
+
+      return store.ready().then(() => {
+        assert.ok(command.calledOnce);
+        assert.deepStrictEqual(command.getCalls()[0].args[0], {
+          collMod: 'sessions',
+          index: { keyPattern: { expires: 1 }, expireAfterSeconds: 60 }
+        });
+      });
+    });
+
+    it('reports conflicting TTL indexes without updateTTL', function(done) {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => {
+        const error = new Error('conflict');
+        error.code = 85;
+        return Promise.reject(error);
+      });
+      const command = sinon.stub(mongodb.Db.prototype, 'command');
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore(function(error) {
+        assert.equal(error.message, 'Error creating index: conflict');
+        assert.ok(!command.called);
+        done();
+      });
+    });
+
+    it('reports index errors without failing the connection', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').
+        callsFake(() => Promise.reject(new Error('Index fail')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+      const errors = [];
+      store.on('error', error => errors.push(error.message));
+      let connected = false;
+      store.on('connected', () => { connected = true; });
+
+      return store.ready().then(client => {
+        assert.strictEqual(client, store.client);
+        assert.ok(connected);
+        assert.strictEqual(store._connectionError, null);
+        assert.deepStrictEqual(errors, ['Error creating index: Index fail']);
+      });
+    });
+
+    it('only creates a unique idField index with uniqueId', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idField: 'sid' });
+
+      return store.ready().then(() => {
+        assert.ok(store.collection.createIndex.calledOnce);
+        assert.deepStrictEqual(store.collection.createIndex.getCalls()[0].args[0], { expires: 1 });
+      });
+    });
+
+    it('warns if the unique idField index can not be created', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(keys => {
+        if (keys.sid == null) {
+          return Promise.resolve();
+        }
+        const error = new Error('Index already exists with a different name: sid_1');
+        error.code = 86;
+        return Promise.reject(error);
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idField: 'sid', indexes: { uniqueId: true } });
+      const warnings = [];
+      store.on('warning', warning => warnings.push(warning.message));
+      const errors = [];
+      store.on('error', error => errors.push(error));
+
+      return store.ready().then(() => {
+        assert.deepStrictEqual(warnings,
+          ['Error creating unique index on sid: Index already exists with a different name: sid_1']);
+        assert.deepStrictEqual(errors, []);
+      });
+    });
+
+    it('creates additional indexes', function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndexes').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        indexes: { additional: [{ key: { 'session.passport.user': 1 }, name: 'user' }] }
+      });
+
+      return store.ready().then(() => {
+        assert.deepStrictEqual(store.collection.createIndexes.getCalls()[0].args[0],
+          [{ key: { 'session.passport.user': 1 }, name: 'user' }]);
+      });
+    });
+  });
+
+  describe('errors', function() {
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('reports failures as MongoDBStoreErrors with the driver error as cause', function() {
+      const cause = new Error('token=secret rejected');
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.reject(cause));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return store.set('1234', { token: 'secret' }).then(
+        () => assert.ok(false),
+        error => {
+          assert.ok(error instanceof connectMongoDBSession.MongoDBStoreError);
+          assert.ok(error instanceof connectMongoDBSession.OperationError);
+          assert.equal(error.name, 'OperationError');
+          assert.equal(error.code, 'OPERATION_FAILED');
+          assert.equal(error.operation, 'set');
+          assert.equal(error.sessionId, '1234');
+          assert.strictEqual(error.cause, cause);
+          assert.equal(error.message, 'Error setting 1234: token=secret rejected');
+        });
+    });
+
+    it('can leave ids and driver messages out with errorDetail "minimal"', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').
+        callsFake(() => Promise.reject(new Error('fail')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ errorDetail: 'minimal' });
+
+      return store.get('1234').then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.message, 'Error finding session');
+          assert.equal(error.sessionId, '1234');
+          assert.equal(error.cause.message, 'fail');
+        });
+    });
+
+    it('includes the session with errorDetail "full"', function() {
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').
+        callsFake(() => Promise.reject(new Error('fail')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ errorDetail: 'full' });
+
+      return store.set('1234', { data: 1 }).then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error setting 1234 to { data: 1 }: fail')
+      );
+    });
+
+    it('uses specific classes for closed stores and conflicts', function() {
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').
+        callsFake(() => Promise.resolve({ matchedCount: 0 }));
+      sinon.stub(mongodb.Collection.prototype, 'findOne').
+        callsFake(() => Promise.resolve({ _id: '1234' }));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ optimisticConcurrency: true });
+      store.on('error', () => {});
+
+      return store.set('1234', { data: 1, __v: 1 }).
+        then(() => assert.ok(false), error => {
+          assert.ok(error instanceof connectMongoDBSession.ConflictError);
+          assert.equal(error.code, 'CONFLICT');
+          return store.close();
+        }).
+        then(() => store.get('1234')).
+        then(() => assert.ok(false), error => {
+          assert.ok(error instanceof connectMongoDBSession.StoreClosedError);
+          assert.equal(error.code, 'STORE_CLOSED');
+          assert.equal(error.operation, 'get');
+        });
+    });
+
+    it('validates errorDetail', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      assert.throws(() => new SessionStore({ errorDetail: 'everything' }), /errorDetail must be one of/);
+    });
+  });
+
+  describe('maxSessionSize', function() {
+    const big = { user: 'val', cart: 'x'.repeat(1000) };
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+    });
+
+    it('rejects sessions that are too large by default', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ maxSessionSize: 500 });
+      const events = [];
+      store.on('sessionTooLarge', ev => events.push(ev));
+
+      return store.set('1234', big).then(
+        () => assert.ok(false),
+        error => {
+          assert.ok(error instanceof connectMongoDBSession.SessionTooLargeError);
+          assert.equal(error.code, 'SESSION_TOO_LARGE');
+          assert.equal(error.maxSize, 500);
+          assert.ok(error.size > 1000);
+          assert.ok(!store.collection.updateOne.called);
+          assert.equal(events.length, 1);
+          assert.equal(events[0].id, '1234');
+          assert.equal(events[0].policy, 'reject');
+          assert.equal(events[0].size, error.size);
+        });
+    });
+
+    it('stores the session anyway with the "warn" policy', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ maxSessionSize: 500, sessionSizePolicy: 'warn' });
+      const events = [];
+      store.on('sessionTooLarge', ev => events.push(ev));
+
+      return store.set('1234', big).then(() => {
+        assert.equal(events.length, 1);
+        assert.ok(store.collection.updateOne.calledOnce);
+        const update = store.collection.updateOne.getCalls()[0].args[1];
+        assert.deepStrictEqual(update.$set.session, big);
+      });
+    });
+
+    it('drops named keys with the "drop" policy', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        maxSessionSize: 500,
+        sessionSizePolicy: 'drop',
+        dropKeys: ['cart', 'history']
+      });
+      const events = [];
+      store.on('sessionTooLarge', ev => events.push(ev));
+
+      return store.set('1234', big).then(() => {
+        assert.deepStrictEqual(events[0].dropped, ['cart']);
+        const update = store.collection.updateOne.getCalls()[0].args[1];
+        assert.deepStrictEqual(update.$set.session, { user: 'val' });
+      });
+    });
+
+    it('rejects if dropping keys is not enough', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        maxSessionSize: 500,
+        sessionSizePolicy: 'drop',
+        dropKeys: ['user']
+      });
+
+      return store.set('1234', big).then(
+        () => assert.ok(false),
+        error => assert.ok(/^Error setting 1234: session is \d+ bytes, maxSessionSize is 500$/.test(error.message))
+      );
+    });
+  });
+
+  describe('operationOptions', function() {
+    const operationOptions = {
+      get: { readPreference: 'nearest', readConcern: { level: 'local' }, maxTimeMS: 100 },
+      set: { writeConcern: { w: 'majority' }, readPreference: 'nearest' },
+      destroy: { writeConcern: { w: 'majority' } },
+      clear: { writeConcern: { w: 1 }, maxTimeMS: 5000 },
+      admin: { readPreference: 'secondaryPreferred', maxTimeMS: 1000 }
+    };
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('applies read and write options per operation', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01'), session: { data: 1 } });
+      });
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'deleteOne').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'deleteMany').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'countDocuments').callsFake(() => Promise.resolve(1));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ operationOptions: operationOptions });
+
+      return store.ready().
+        then(() => store.get('1234')).
+        then(() => store.set('1234', { data: 2 })).
+        then(() => store.destroy('1234')).
+        then(() => store.clear()).
+        then(() => store.length()).
+        then(() => {
+          const collection = mongodb.Collection.prototype;
+          assert.deepStrictEqual(collection.findOne.getCalls()[0].args[1], operationOptions.get);
+          assert.deepStrictEqual(collection.updateOne.getCalls()[0].args[2],
+            { upsert: true, writeConcern: { w: 'majority' } });
+          assert.deepStrictEqual(collection.deleteOne.getCalls()[0].args[1],
+            { writeConcern: { w: 'majority' } });
+          assert.deepStrictEqual(collection.deleteMany.getCalls()[0].args[1], operationOptions.clear);
+          assert.deepStrictEqual(collection.countDocuments.getCalls()[0].args[1], operationOptions.admin);
+        });
+    });
+
+    it('falls back to the primary if a secondary read finds nothing', function() {
+      const findOne = sinon.stub(mongodb.Collection.prototype, 'findOne');
+      findOne.onCall(0).callsFake(() => Promise.resolve(null));
+      findOne.onCall(1).callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01'), session: { data: 1 } });
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ operationOptions: operationOptions });
+
+      return store.get('1234').then(session => {
+        assert.deepStrictEqual(session, { data: 1 });
+        assert.equal(findOne.callCount, 2);
+        assert.equal(findOne.getCalls()[1].args[1].readPreference, 'primary');
+        assert.equal(findOne.getCalls()[1].args[1].maxTimeMS, 100);
+      });
+    });
+
+    it('does not retry reads that already went to the primary', function() {
+      const findOne = sinon.stub(mongodb.Collection.prototype, 'findOne').
+        callsFake(() => Promise.resolve(null));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ operationOptions: { get: { maxTimeMS: 100 } } });
+
+      return store.get('1234').then(session => {
+        assert.strictEqual(session, undefined);
+        assert.equal(findOne.callCount, 1);
+      });
+    });
+  });
+
+  describe('metadata', function() {
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+    });
+
+    it('records timestamps and hook fields outside the session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        metadata: {
+          fields: (session, id) => ({ userAgent: session.ua, id: id, createdAt: 'ignored' })
+        }
+      });
+
+      return store.set('1234', { ua: 'curl' }).
+        then(() => store.touch('1234', { ua: 'wget' })).
+        then(() => {
+          const calls = store.collection.updateOne.getCalls();
+          const update = calls[0].args[1];
+          assert.deepStrictEqual(update.$set.session, { ua: 'curl' });
+          assert.ok(update.$set['metadata.lastAccessedAt'] instanceof Date);
+          assert.equal(update.$set['metadata.userAgent'], 'curl');
+          assert.equal(update.$set['metadata.id'], '1234');
+          assert.ok(!('metadata.createdAt' in update.$set));
+          assert.deepStrictEqual(Object.keys(update.$min), ['metadata.createdAt']);
+          assert.ok(update.$min['metadata.createdAt'] instanceof Date);
+
+          const touch = calls[1].args[1];
+          assert.ok(touch.$set['metadata.lastAccessedAt'] instanceof Date);
+          assert.equal(touch.$set['metadata.userAgent'], 'wget');
+          assert.ok(!('metadata.createdAt' in touch.$set));
+          assert.ok(touch.$min['metadata.createdAt'] instanceof Date);
+        });
+    });
+
+    it('fills in createdAt with partialUpdates', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve({ _id: '1234', session: { a: 1 }, version: 1 });
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ partialUpdates: true, metadata: { enabled: true } });
+      store.collection.updateOne.callsFake(() => Promise.resolve({ matchedCount: 1 }));
+
+      return store.get('1234').
+        then(sess => {
+          sess.a = 2;
+          return store.set('1234', sess);
+        }).
+        then(() => {
+          const update = store.collection.updateOne.getCalls()[0].args[1];
+          assert.equal(update.$set['session.a'], 2);
+          assert.ok(update.$min['metadata.createdAt'] instanceof Date);
+        });
+    });
+
+    it('returns metadata from find()', function() {
+      const createdAt = new Date('2020-06-01');
+      sinon.stub(mongodb.Collection.prototype, 'find').callsFake(() => fakeCursor([
+        { _id: '1234', session: { data: 1 }, meta: { createdAt: createdAt } }
+      ]));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ metadata: { enabled: true, key: 'meta' } });
+
+      return store.ready().
+        then(() => store.find({ data: 1 }, { projection: { data: 1 } }).toArray()).
+        then(entries => {
+          assert.deepStrictEqual(entries[0].metadata, { createdAt: createdAt });
+          assert.deepStrictEqual(store.collection.find.getCalls()[0].args[1].projection,
+            { 'session.data': 1, _id: 1, expires: 1, meta: 1 });
+        });
+    });
+
+    it('reports errors from metadata.fields', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        metadata: { fields: () => { throw new Error('no request'); } }
+      });
+
+      return store.set('1234', {}).then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error setting 1234: no request')
+      );
+    });
+  });
+
+  describe('timeouts', function() {
+    const hour = 1000 * 60 * 60;
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'deleteOne').callsFake(() => Promise.resolve());
+    });
+
+    function doc(metadata) {
+      return {
+        _id: '1234',
+        expires: new Date(Date.now() + 24 * hour),
+        session: { data: 1 },
+        metadata: metadata
+      };
+    }
+
+    it('destroys sessions past absoluteTimeout in get()', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve(doc({ createdAt: new Date(Date.now() - 9 * hour), lastAccessedAt: new Date() }));
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ absoluteTimeout: 8 * hour });
+
+      return store.get('1234').then(session => {
+        assert.strictEqual(session, undefined);
+        assert.ok(store.collection.deleteOne.calledOnce);
+      });
+    });
+
+    it('destroys sessions past idleTimeout in get()', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').
+        onCall(0).callsFake(() => Promise.resolve(doc({ lastAccessedAt: new Date(Date.now() - 2 * hour) }))).
+        onCall(1).callsFake(() => Promise.resolve(doc({ lastAccessedAt: new Date() }))).
+        onCall(2).callsFake(() => Promise.resolve(doc(undefined)));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idleTimeout: hour });
+
+      return store.get('1234').
+        then(session => {
+          assert.strictEqual(session, undefined);
+          return store.get('1234');
+        }).
+        then(session => {
+          assert.deepStrictEqual(session, { data: 1 });
+          // Stored before timeouts were on
+          return store.get('1234');
+        }).
+        then(session => {
+          assert.deepStrictEqual(session, { data: 1 });
+          assert.ok(store.collection.deleteOne.calledOnce);
+        });
+    });
+
+    it('records timestamps and caps expiry at idleTimeout in set()', function() {
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idleTimeout: hour, absoluteTimeout: 8 * hour });
+
+      const cookie = { expires: new Date(Date.now() + 24 * hour) };
+      return store.set('1234', { cookie: cookie }).then(() => {
+        const update = store.collection.updateOne.getCalls()[0].args[1];
+        assert.ok(update.$set['metadata.lastAccessedAt'] instanceof Date);
+        assert.ok(update.$min['metadata.createdAt'] instanceof Date);
+        assert.ok(update.$set.expires.getTime() <= Date.now() + hour);
+      });
+    });
+
+    it('leaves timed out sessions out of find() and sweeps them', function() {
+      sinon.stub(mongodb.Collection.prototype, 'find').callsFake(() => {
+        const cursor = fakeCursor([]);
+        cursor.toArray = () => Promise.resolve([]);
+        return cursor;
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ absoluteTimeout: 8 * hour, idleTimeout: hour });
+
+      return store.ready().
+        then(() => store.find({}).toArray()).
+        then(() => store.sweep()).
+        then(() => {
+          const calls = store.collection.find.getCalls();
+          const active = calls[0].args[0];
+          assert.ok(active['metadata.createdAt'].$not.$lte instanceof Date);
+          assert.ok(active['metadata.lastAccessedAt'].$not.$lte instanceof Date);
+          const expired = calls[1].args[0];
+          assert.deepStrictEqual(expired.$or.map(cond => Object.keys(cond)[0]),
+            ['expires', 'metadata.createdAt', 'metadata.lastAccessedAt']);
+        });
+    });
+  });
+
+  describe('rename()', function() {
+    const createdAt = new Date('2020-06-01');
+    let clientSession;
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'insertOne').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'deleteOne').callsFake(() => Promise.resolve());
+      clientSession = {
+        withTransaction: sinon.stub().callsFake(fn => fn()),
+        endSession: sinon.stub().callsFake(() => Promise.resolve())
+      };
+      sinon.stub(mongodb.MongoClient.prototype, 'startSession').callsFake(() => clientSession);
+    });
+
+    function stubFindOne(doc) {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => Promise.resolve(doc));
+    }
+
+    it('moves the session in a transaction', function() {
+      stubFindOne({
+        _id: 'old',
+        expires: new Date('2020-06-02'),
+        session: { user: 42 },
+        metadata: { createdAt: createdAt, ip: '127.0.0.1' }
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ metadata: { enabled: true } });
+
+      return store.rename('old', 'new').then(renamed => {
+        assert.strictEqual(renamed, true);
+        assert.ok(clientSession.withTransaction.calledOnce);
+        assert.ok(clientSession.endSession.calledOnce);
+
+        const insert = store.collection.insertOne.getCalls()[0].args;
+        assert.equal(insert[0]._id, 'new');
+        assert.deepStrictEqual(insert[0].session, { user: 42 });
+        assert.ok(insert[0].expires > new Date());
+        assert.strictEqual(insert[0].metadata.createdAt, createdAt);
+        assert.equal(insert[0].metadata.ip, '127.0.0.1');
+        assert.ok(insert[0].metadata.lastAccessedAt instanceof Date);
+        assert.strictEqual(insert[1].session, clientSession);
+
+        const remove = store.collection.deleteOne.getCalls()[0].args;
+        assert.deepStrictEqual(remove[0], { _id: 'old' });
+        assert.strictEqual(remove[1].session, clientSession);
+      });
+    });
+
+    it('falls back to insert then delete without transactions', function() {
+      stubFindOne({ _id: 'old', session: { user: 42 } });
+      clientSession.withTransaction = sinon.stub().callsFake(() => {
+        const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+        error.code = 20;
+        return Promise.reject(error);
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ operationOptions: { set: { writeConcern: { w: 'majority' } } } });
+
+      return store.rename('old', 'new').
+        then(() => store.rename('old', 'new')).
+        then(() => {
+          // Only tries a transaction once
+          assert.ok(clientSession.withTransaction.calledOnce);
+          assert.deepStrictEqual(clientSession.withTransaction.getCalls()[0].args[1],
+            { writeConcern: { w: 'majority' } });
+          const insert = store.collection.insertOne.getCalls()[0].args;
+          assert.equal(insert[0]._id, 'new');
+          assert.deepStrictEqual(insert[1], { writeConcern: { w: 'majority' } });
+          assert.equal(store.collection.deleteOne.callCount, 2);
+        });
+    });
+
+    it('fails if newId exists with a custom idField', function() {
+      stubFindOne({ _id: 'objectid', sid: 'old', session: { user: 42 } });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idField: 'sid', indexes: { uniqueId: true } });
+      store.collection.insertOne.callsFake(() => {
+        const error = new Error('E11000 duplicate key error');
+        error.code = 11000;
+        return Promise.reject(error);
+      });
+
+      return store.ready().
+        then(() => {
+          assert.deepStrictEqual(store.collection.createIndex.getCalls()[1].args,
+            [{ sid: 1 }, { unique: true }]);
+          return store.rename('old', 'new');
+        }).
+        then(
+          () => assert.ok(false),
+          error => {
+            assert.equal(error.message, 'Error renaming old: E11000 duplicate key error');
+            const insert = store.collection.insertOne.getCalls()[0].args[0];
+            assert.equal(insert.sid, 'new');
+            assert.ok(!('_id' in insert));
+            assert.ok(!store.collection.deleteOne.called);
+          }
+        );
+    });
+
+    it('calls back with false if there is no session', function() {
+      stubFindOne(null);
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return store.rename('old', 'new').then(renamed => {
+        assert.strictEqual(renamed, false);
+        assert.ok(!store.collection.insertOne.called);
+      });
+    });
+
+    it('reports errors, like newId already existing', function() {
+      stubFindOne({ _id: 'old', session: {} });
+      clientSession.withTransaction = () => Promise.reject(new Error('E11000 duplicate key'));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return store.rename('old', 'new').then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.message, 'Error renaming old: E11000 duplicate key');
+          assert.equal(error.operation, 'rename');
+        });
+    });
+
+    it('re-encrypts sessions for the new id', function() {
+      const insertOne = mongodb.Collection.prototype.insertOne;
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ secret: 'secret' });
+
+      return store.set('old', { user: 42 }).
+        then(() => {
+          const encrypted = store.collection.updateOne.getCalls()[0].args[1].$set.session;
+          stubFindOne({ _id: 'old', session: encrypted });
+          return store.rename('old', 'new');
+        }).
+        then(() => {
+          const doc = insertOne.getCalls()[0].args[0];
+          assert.deepStrictEqual(store._decode('new', doc.session), { user: 42 });
+        });
+    });
+
+    it('renameOnRegenerate keeps session data through regenerate()', function() {
+      stubFindOne({ _id: 'old', session: { user: 42 } });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ renameOnRegenerate: true });
+      store.generate = req => {
+        req.sessionID = 'new';
+        req.session = { cookie: { fresh: true } };
+      };
+      const req = { sessionID: 'old', session: { cookie: {}, user: 42 } };
+
+      return new Promise((resolve, reject) => {
+        store.regenerate(req, error => error ? reject(error) : resolve());
+      }).then(() => {
+        assert.deepStrictEqual(req.session, { cookie: { fresh: true }, user: 42 });
+        assert.equal(store.collection.insertOne.getCalls()[0].args[0]._id, 'new');
+      });
+    });
+  });
+
+  describe('export() and import()', function() {
+    const stream = require('stream');
+    const future = new Date(Date.now() + 1000 * 60 * 60);
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    function ndjson(records) {
+      return stream.Readable.from(records.map(record => JSON.stringify(record) + '\n'));
+    }
+
+    it('export() streams sessions as NDJSON', function() {
+      sinon.stub(mongodb.Collection.prototype, 'find').callsFake(() => ({
+        map: fn => ({
+          [Symbol.asyncIterator]: async function*() {
+            yield fn({ _id: '1', session: { user: 42 }, expires: future });
+            yield fn({ _id: '2', expires: future });
+          }
+        })
+      }));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      let output = '';
+      return new Promise((resolve, reject) => {
+        store.export().
+          on('data', chunk => { output += chunk; }).
+          on('error', reject).
+          on('end', resolve);
+      }).then(() => {
+        const lines = output.split('\n');
+        assert.equal(lines.length, 2);
+        assert.deepStrictEqual(JSON.parse(lines[0]),
+          { id: '1', session: { user: 42 }, expires: future.toISOString() });
+        assert.equal(lines[1], '');
+        assert.ok(store.collection.find.getCalls()[0].args[0].expires.$not);
+      });
+    });
+
+    it('import() writes batches and skips expired records', function() {
+      sinon.stub(mongodb.Collection.prototype, 'bulkWrite').callsFake(ops => {
+        return Promise.resolve({ upsertedCount: ops.length - 1, matchedCount: 1 });
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      const input = ndjson([
+        { id: '1', session: { user: 1 }, expires: future },
+        { id: '2', session: { user: 2 }, expires: new Date('2000-01-01') },
+        { id: '3', session: { user: 3, cookie: { expires: future } } },
+        { id: '4', session: { user: 4 }, expires: future }
+      ]);
+      return store.import(input, { batchSize: 2 }).then(stats => {
+        assert.deepStrictEqual(stats, { imported: 1, skipped: 2, expired: 1, batches: 2 });
+        const calls = store.collection.bulkWrite.getCalls();
+        assert.equal(calls.length, 2);
+        assert.deepStrictEqual(calls[0].args[1], { ordered: false });
+        const op = calls[0].args[0][0].updateOne;
+        assert.deepStrictEqual(op.filter, { _id: '1' });
+        assert.deepStrictEqual(op.update, { $setOnInsert: { session: { user: 1 }, expires: future } });
+        assert.ok(op.upsert);
+        assert.deepStrictEqual(calls[0].args[0][1].updateOne.update.$setOnInsert.expires, future);
+      });
+    });
+
+    it('import() with "newer" counts duplicate keys as skipped', function() {
+      sinon.stub(mongodb.Collection.prototype, 'bulkWrite').callsFake(() => {
+        const error = new Error('E11000 duplicate key');
+        error.writeErrors = [{ code: 11000 }];
+        error.result = { upsertedCount: 0, matchedCount: 1 };
+        return Promise.reject(error);
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      const input = ndjson([
+        { id: '1', session: {}, expires: future },
+        { id: '2', session: {}, expires: future }
+      ]);
+      return store.import(input, { conflict: 'newer' }).then(stats => {
+        assert.deepStrictEqual(stats, { imported: 1, skipped: 1, expired: 0, batches: 1 });
+        const op = store.collection.bulkWrite.getCalls()[0].args[0][0].updateOne;
+        assert.deepStrictEqual(op.filter, { _id: '1', expires: { $lt: future } });
+        assert.deepStrictEqual(op.update, { $set: { session: {}, expires: future } });
+      });
+    });
+
+    it('import() with "newer" relies on a unique index for a custom idField', function() {
+      sinon.stub(mongodb.Collection.prototype, 'bulkWrite').callsFake(() => {
+        const error = new Error('E11000 duplicate key');
+        error.writeErrors = [{ code: 11000 }];
+        error.result = { upsertedCount: 0, matchedCount: 0 };
+        return Promise.reject(error);
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ idField: 'sid', indexes: { uniqueId: true } });
+
+      const input = ndjson([{ id: '1', session: {}, expires: future }]);
+      return store.ready().
+        then(() => {
+          assert.deepStrictEqual(store.collection.createIndex.getCalls()[1].args,
+            [{ sid: 1 }, { unique: true }]);
+          return store.import(input, { conflict: 'newer' });
+        }).
+        then(stats => {
+          assert.deepStrictEqual(stats, { imported: 0, skipped: 1, expired: 0, batches: 1 });
+          const op = store.collection.bulkWrite.getCalls()[0].args[0][0].updateOne;
+          assert.deepStrictEqual(op.filter, { sid: '1', expires: { $lt: future } });
+        });
+    });
+
+    it('import() reports invalid records', function() {
+      sinon.stub(mongodb.Collection.prototype, 'bulkWrite').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return store.import(stream.Readable.from(['{"id":"1"}\n', 'not json\n'])).then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.message, 'Error importing sessions: line 2 is not valid JSON');
+          assert.equal(error.operation, 'import');
+          return store.import(ndjson([]), { conflict: 'merge' });
+        }).
+        then(() => assert.ok(false), error => assert.equal(error.code, 'INVALID_ARGUMENT'));
+    });
+  });
+
+  describe('maxSessionsPerOwner', function() {
+    const session = { passport: { user: 'val' } };
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndexes').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'deleteMany').callsFake(() => Promise.resolve());
+    });
+
+    function stubOwnerSessions(ids) {
+      sinon.stub(mongodb.Collection.prototype, 'find').callsFake(() => {
+        return { toArray: () => Promise.resolve(ids.map(id => ({ _id: id }))) };
+      });
+    }
+
+    it('stores the owner in an indexed top-level field', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ ownerPath: 'passport.user' });
+
+      return store.ready().
+        then(() => store.set('1234', session)).
+        then(() => store.set('5678', {})).
+        then(() => {
+          assert.deepStrictEqual(store.collection.createIndexes.getCalls()[0].args[0],
+            [{ key: { owner: 1 } }]);
+          const calls = store.collection.updateOne.getCalls();
+          assert.equal(calls[0].args[1].$set.owner, 'val');
+          assert.strictEqual(calls[1].args[1].$set.owner, null);
+        });
+    });
+
+    it('evicts the oldest sessions when an owner is at the limit', function() {
+      stubOwnerSessions(['a', 'b', 'c']);
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ ownerPath: 'passport.user', maxSessionsPerOwner: 2 });
+      const events = [];
+      store.on('evicted', ev => events.push(ev));
+
+      return store.set('1234', session).then(() => {
+        const find = store.collection.find.getCalls()[0].args;
+        assert.equal(find[0].owner, 'val');
+        assert.ok(find[0].expires.$not);
+        assert.deepStrictEqual(find[1].sort, { 'metadata.createdAt': 1 });
+        assert.deepStrictEqual(store.collection.deleteMany.getCalls()[0].args[0],
+          { _id: { $in: ['a', 'b'] } });
+        assert.deepStrictEqual(events, [{ owner: 'val', ids: ['a', 'b'], sessionId: '1234' }]);
+        assert.ok(store.collection.updateOne.calledOnce);
+      });
+    });
+
+    it('leaves sessions the owner already has alone', function() {
+      stubOwnerSessions(['a', '1234']);
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ ownerPath: 'passport.user', maxSessionsPerOwner: 2 });
+
+      return store.set('1234', session).then(() => {
+        assert.ok(!store.collection.deleteMany.called);
+        assert.ok(store.collection.updateOne.calledOnce);
+      });
+    });
+
+    it('can reject new sessions instead', function() {
+      stubOwnerSessions(['a', 'b']);
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        ownerPath: 'passport.user',
+        maxSessionsPerOwner: 2,
+        ownerPolicy: 'reject'
+      });
+
+      return store.set('1234', session).then(
+        () => assert.ok(false),
+        error => {
+          assert.ok(error instanceof connectMongoDBSession.SessionLimitError);
+          assert.equal(error.code, 'SESSION_LIMIT');
+          assert.equal(error.message,
+            'Error setting 1234: owner has 2 sessions, maxSessionsPerOwner is 2');
+          assert.ok(!store.collection.updateOne.called);
+          assert.ok(!store.collection.deleteMany.called);
+        });
+    });
+
+    it('queries the owner field directly, even with a secret', function() {
+      sinon.stub(mongodb.Collection.prototype, 'countDocuments').callsFake(() => Promise.resolve(1));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ ownerPath: 'passport.user', secret: 'test secret' });
+      store.collection.deleteMany.callsFake(() => Promise.resolve({ deletedCount: 1 }));
+
+      return store.destroyWhere({ owner: 'val' }).
+        then(() => store.count({ $or: [{ owner: 'val' }, { owner: 'other' }] })).
+        then(() => {
+          assert.deepStrictEqual(store.collection.deleteMany.getCalls()[0].args[0], { owner: 'val' });
+          const query = store.collection.countDocuments.getCalls()[0].args[0];
+          assert.deepStrictEqual(query.$or, [{ owner: 'val' }, { owner: 'other' }]);
+          return store.count({ owner: 'val', 'cart.size': 1 });
+        }).
+        then(
+          () => assert.ok(false),
+          error => assert.equal(error.code, 'INVALID_ARGUMENT')
+        );
+    });
+
+    it('requires ownerPath', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      assert.throws(() => new SessionStore({ maxSessionsPerOwner: 2 }), /requires ownerPath/);
+    });
+  });
+
+  describe('metrics', function() {
+    const metrics = require('../metrics');
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('emits an operation event with timing, hits and sizes', function() {
+      const expired = { expires: new Date('2000-01-01'), session: { data: 0 } };
+      const active = { expires: new Date('2040-06-01'), session: { data: 1 } };
+      sinon.stub(mongodb.Collection.prototype, 'findOne').
+        onCall(0).callsFake(() => Promise.resolve(active)).
+        onCall(1).callsFake(() => Promise.resolve(expired)).
+        onCall(2).callsFake(() => Promise.resolve(null));
+      sinon.stub(mongodb.Collection.prototype, 'deleteOne').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.reject(new Error('fail')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+      const events = [];
+      store.on('operation', stats => events.push(stats));
+      store.on('error', () => {});
+
+      return store.ready().
+        then(() => store.get('1')).
+        then(() => store.get('2')).
+        then(() => store.get('3')).
+        then(() => store.set('4', { data: 4 })).
+        catch(() => {}).
+        then(() => {
+          assert.deepStrictEqual(events.map(e => [e.operation, e.id, e.hit, e.expired]), [
+            ['get', '1', true, undefined],
+            ['get', '2', false, true],
+            ['get', '3', false, undefined],
+            ['set', '4', undefined, undefined]
+          ]);
+          assert.ok(events.every(e => typeof e.duration === 'number' && e.startTime instanceof Date));
+          assert.ok(events[3].size > 0);
+          assert.equal(events[3].error.message, 'Error setting 4: fail');
+        });
+    });
+
+    it('renders Prometheus metrics', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => Promise.resolve(null));
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+      const prometheus = metrics.prometheus(store, { durationBuckets: [1], sizeBuckets: [1, 1000] });
+
+      return store.ready().
+        then(() => store.get('1')).
+        then(() => store.set('1', { data: 1 })).
+        then(() => {
+          const text = prometheus.metrics();
+          assert.ok(text.includes('# TYPE connect_mongodb_session_operations_total counter\n'));
+          assert.ok(text.includes('connect_mongodb_session_operations_total{operation="get",result="success"} 1\n'));
+          assert.ok(text.includes('connect_mongodb_session_get_total{result="miss"} 1\n'));
+          assert.ok(text.includes('connect_mongodb_session_operation_duration_seconds_bucket{operation="set",le="+Inf"} 1\n'));
+          assert.ok(text.includes('connect_mongodb_session_session_size_bytes_bucket{operation="set",le="1"} 0\n'));
+          assert.ok(text.includes('connect_mongodb_session_session_size_bytes_bucket{operation="set",le="1000"} 1\n'));
+
+          prometheus.stop();
+          return store.get('1');
+        }).
+        then(() => {
+          assert.ok(prometheus.metrics().includes('{operation="get",result="success"} 1\n'));
+        });
+    });
+
+    it('records OpenTelemetry spans', function() {
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => Promise.reject(new Error('fail')));
+
+      const span = {
+        recordException: sinon.stub(),
+        setStatus: sinon.stub(),
+        end: sinon.stub()
+      };
+      const tracer = { startSpan: sinon.stub().returns(span) };
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+      store.on('error', () => {});
+      metrics.tracing(store, tracer);
+
+      return store.ready().
+        then(() => store.get('1')).
+        catch(() => {}).
+        then(() => {
+          assert.ok(tracer.startSpan.calledOnce);
+          assert.equal(tracer.startSpan.getCall(0).args[0], 'session.get');
+          const options = tracer.startSpan.getCall(0).args[1];
+          assert.ok(options.startTime instanceof Date);
+          assert.equal(options.attributes['db.operation'], 'get');
+          assert.deepStrictEqual(span.setStatus.getCall(0).args[0],
+            { code: 2, message: 'Error finding 1: fail' });
+          assert.ok(span.end.calledOnce);
+        });
+    });
+  });
+
+  describe('resolveNamespace', function() {
+    function resolveNamespace(id) {
+      const tenant = id.split(':')[0];
+      return { databaseName: 'tenant_' + tenant };
+    }
+
+    beforeEach(function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('routes operations to the resolved namespace', function() {
+      const namespaces = [];
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(function() {
+        namespaces.push(this.namespace);
+        return Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } });
+      });
+      sinon.stub(mongodb.Collection.prototype, 'updateOne').callsFake(function() {
+        namespaces.push(this.namespace);
+        return Promise.resolve({ matchedCount: 1 });
+      });
+      sinon.stub(mongodb.Collection.prototype, 'deleteOne').callsFake(function() {
+        namespaces.push(this.namespace);
+        return Promise.resolve();
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ resolveNamespace: resolveNamespace });
+
+      return store.ready().
+        then(() => store.get('acme:1234')).
+        then(() => store.set('globex:1234', {})).
+        then(() => store.touch('acme:1234', {})).
+        then(() => store.destroy('globex:1234')).
+        then(() => {
+          assert.deepStrictEqual(namespaces, [
+            'tenant_acme.sessions',
+            'tenant_globex.sessions',
+            'tenant_acme.sessions',
+            'tenant_globex.sessions'
+          ]);
+          // Default namespace at startup, then each tenant once
+          const indexed = store.collection.createIndex.getCalls().map(call => call.thisValue.namespace);
+          assert.deepStrictEqual(indexed,
+            ['test.sessions', 'tenant_acme.sessions', 'tenant_globex.sessions']);
+        });
+    });
+
+    it('runs clear() and length() against the namespaces option', function() {
+      const namespaces = [];
+      sinon.stub(mongodb.Collection.prototype, 'deleteMany').callsFake(function() {
+        namespaces.push(this.namespace);
+        return Promise.resolve({ deletedCount: 1 });
+      });
+      sinon.stub(mongodb.Collection.prototype, 'countDocuments').callsFake(() => Promise.resolve(2));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        resolveNamespace: resolveNamespace,
+        namespaces: () => Promise.resolve([{ databaseName: 'tenant_a' }, { databaseName: 'tenant_b' }])
+      });
+
+      return store.clear().
+        then(() => store.length()).
+        then(length => {
+          assert.deepStrictEqual(namespaces, ['tenant_a.sessions', 'tenant_b.sessions']);
+          assert.equal(length, 4);
+        });
+    });
+
+    it('reports resolver errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({
+        resolveNamespace: () => { throw new Error('unknown tenant'); }
+      });
+
+      store.get('1234', function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error finding 1234: unknown tenant');
+        assert.throws(() => store.find({}), /requires options.namespace/);
+        done();
+      });
+    });
+  });
+
+  describe('ready()', function() {
+    it('resolves to the client once connected', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return store.ready().then(client => {
+        assert.strictEqual(client, store.client);
+      });
+    });
+
+    it('rejects if the initial connection fails', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => {
+        return Promise.reject(new Error('connect issues'));
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+      store.on('error', () => {});
+
+      return store.ready().then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error connecting to db: connect issues')
+      );
+    });
+
+    it('rejects even if the constructor got a callback', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => {
+        return Promise.reject(new Error('connect issues'));
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore(() => {});
+
+      return store.ready().then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error connecting to db: connect issues')
+      );
+    });
+
+    it('does not reject unhandled if nobody calls ready()', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => {
+        return Promise.reject(new Error('connect issues'));
+      });
+      const unhandled = [];
+      const onUnhandled = reason => unhandled.push(reason);
+      process.on('unhandledRejection', onUnhandled);
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore();
+
+      return new Promise(resolve => setTimeout(resolve, 20)).then(() => {
+        process.removeListener('unhandledRejection', onUnhandled);
+        assert.deepStrictEqual(unhandled, []);
+        assert.equal(store._connectionError.message, 'Error connecting to db: connect issues');
+      });
+    });
+  });
+
+  describe('promises', function() {
+    it('get() returns a promise if no callback', function() {
+      const SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } });
+      });
+
+      return session.get('1234').then(res => {
+        assert.deepStrictEqual(res, { data: 1 });
+      });
+    });
+
+    it('set(), touch(), destroy() and clear() return promises', function() {
+      const SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'deleteOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'deleteMany').callsFake(() => Promise.resolve());
+
+      return session.set('1234', { test: 1 }).
+        then(() => session.touch('1234', { test: 1 })).
+        then(() => session.destroy('1234')).
+        then(() => session.clear()).
+        then(() => {
+          assert.equal(session.collection.updateOne.getCalls().length, 2);
+          assert.ok(session.collection.deleteOne.calledOnce);
+          assert.ok(session.collection.deleteMany.calledOnce);
+        });
+    });
+
+    it('rejects on errors', function() {
+      const SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'deleteOne')
+        .callsFake(() => Promise.reject(new Error('roadrunners pachyderma')));
+
+      return session.destroy('1234').then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error destroying 1234: roadrunners pachyderma')
+      );
+    });
+  });
+
+  describe('connection resilience', function() {
+    beforeEach(function() {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+    });
+
+    it('bufferOperations sends operations to the driver after the connection failed', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => Promise.reject(new Error('down')));
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } });
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ bufferOperations: true });
+      store.on('error', () => {});
+
+      return store.ready().then(() => assert.ok(false), () => {}).
+        then(() => store.get('1234')).
+        then(res => {
+          assert.deepStrictEqual(res, { data: 1 });
+          assert.equal(store._queue.length, 0);
+        });
+    });
+
+    it('fails operations called after a clientPromise rejected', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ clientPromise: Promise.reject(new Error('no client')) }, () => {});
+
+      return store.ready().then(() => assert.ok(false), () => {}).
+        then(() => store.get('1234')).
+        then(
+          () => assert.ok(false),
+          error => {
+            assert.equal(error.message, 'Error connecting to db: no client');
+            assert.equal(store._queue.length, 0);
+          }
+        );
+    });
+
+    it('bufferOperations queues operations until connected', function() {
+      let resolveConnect;
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => new Promise(resolve => { resolveConnect = resolve; }));
+      sinon.stub(mongodb.Collection.prototype, 'findOne').callsFake(() => {
+        return Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } });
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ bufferOperations: true });
+
+      const getPromise = store.get('1234');
+      return new Promise(resolve => setTimeout(resolve, 10)).
+        then(() => {
+          assert.ok(!store.collection.findOne.called);
+          resolveConnect();
+          return getPromise;
+        }).
+        then(res => {
+          assert.deepStrictEqual(res, { data: 1 });
+        });
+    });
+
+    it('bufferTimeoutMS fails operations that wait too long', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => new Promise(() => {}));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ bufferOperations: true, bufferTimeoutMS: 20 });
+
+      return store.set('1234', {}).then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.message, 'Timed out after 20ms waiting for connection');
+          assert.equal(store._queue.length, 0);
+        }
+      );
+    });
+
+    it('bufferMaxSize limits the queue', function() {
+      let rejectConnect;
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => new Promise((resolve, reject) => { rejectConnect = reject; }));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ bufferOperations: true, bufferMaxSize: 1 });
+
+      store.destroy('1234').catch(() => {});
+      return store.destroy('5678').then(
+        () => assert.ok(false),
+        error => assert.ok(error.message.startsWith('Too many operations waiting for connection'))
+      ).then(() => {
+        const closePromise = store.close().catch(() => {});
+        rejectConnect(new Error('Topology closed'));
+        return closePromise;
+      });
+    });
+
+    it('retries the initial connection with backoff', function() {
+      let attempts = 0;
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => {
+        return ++attempts < 3 ? Promise.reject(new Error('down')) : Promise.resolve();
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ connectRetries: 2, connectRetryDelay: 5 });
+      const retries = [];
+      store.on('reconnecting', info => retries.push([info.attempt, info.delay]));
+
+      return store.ready().then(() => {
+        assert.equal(attempts, 3);
+        assert.deepStrictEqual(retries, [[1, 5], [2, 10]]);
+      });
+    });
+
+    it('close() stops retrying', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => Promise.reject(new Error('down')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ connectRetries: 5, connectRetryDelay: 60000 }, () => {});
+      sinon.stub(store.client, 'close').callsFake(() => Promise.resolve());
+
+      return new Promise(resolve => store.once('reconnecting', resolve)).
+        then(() => store.close()).
+        then(() => store.ready()).
+        then(
+          () => assert.ok(false),
+          error => assert.equal(error.message,
+            'Error connecting to db: Store closed while connecting')
+        );
+    });
+
+    it('missingOnError treats unreachable databases as a missing session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ missingOnError: true }, () => {});
+      sinon.stub(store.collection, 'findOne').
+        callsFake(() => Promise.reject(new mongodb.MongoNetworkError('down')));
+      const errors = [];
+      store.on('error', error => errors.push(error.message));
+
+      return store.get('1234').then(res => {
+        assert.strictEqual(res, undefined);
+        assert.deepStrictEqual(errors, ['Error finding 1234: down']);
+      });
+    });
+
+    it('missingOnError treats a closed topology as a missing session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ missingOnError: true }, () => {});
+      sinon.stub(store.collection, 'findOne').
+        callsFake(() => Promise.reject(new mongodb.MongoTopologyClosedError()));
+      store.on('error', () => {});
+
+      return store.get('1234').then(res => {
+        assert.strictEqual(res, undefined);
+      });
+    });
+
+    it('missingOnError asks the driver again after a failed initial connection', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => Promise.reject(new Error('down')));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ missingOnError: true }, () => {});
+      const findOne = sinon.stub(store.collection, 'findOne');
+      findOne.onFirstCall().
+        callsFake(() => Promise.reject(new mongodb.MongoNetworkError('still down')));
+      findOne.onSecondCall().
+        callsFake(() => Promise.resolve({ expires: new Date('2040-06-01T00:00:00.000Z'), session: { data: 1 } }));
+      const errors = [];
+
+      return store.ready().catch(() => {}).
+        then(() => {
+          store.on('error', error => errors.push(error.message));
+          return store.get('1234');
+        }).
+        then(res => {
+          assert.strictEqual(res, undefined);
+          assert.deepStrictEqual(errors, ['Error finding 1234: still down']);
+          // The database is back
+          return store.get('1234');
+        }).
+        then(res => {
+          assert.deepStrictEqual(res, { data: 1 });
+          assert.equal(findOne.callCount, 2);
+        });
+    });
+
+    it('missingOnError still reports other errors', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ missingOnError: true }, () => {});
+      sinon.stub(store.collection, 'findOne').
+        callsFake(() => Promise.reject(new Error('fail!')));
+
+      return store.get('1234').then(
+        () => assert.ok(false),
+        error => assert.equal(error.message, 'Error finding 1234: fail!')
+      );
+    });
+  });
+
+  describe('close()', function() {
+    it('waits for in-flight operations and closes its own client', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore(() => {});
+      let resolveUpdate;
+      sinon.stub(store.collection, 'updateOne').
+        callsFake(() => new Promise(resolve => { resolveUpdate = resolve; }));
+      const closeClient = sinon.stub(store.client, 'close').callsFake(() => Promise.resolve());
+      let disconnected = 0;
+      store.on('disconnected', () => ++disconnected);
+
+      let setDone = false;
+      const setPromise = store.set('1234', { test: 1 }).then(() => { setDone = true; });
+      const closePromise = store.close().then(() => {
+        assert.ok(setDone);
+        assert.ok(closeClient.calledOnce);
+        assert.equal(disconnected, 1);
+      });
+      setTimeout(() => resolveUpdate(), 10);
+
+      return Promise.all([setPromise, closePromise]);
+    });
+
+    it('does not close a client it did not create', function(done) {
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      const client = new mongodb.MongoClient('mongodb://127.0.0.1:27017/app');
+      const closeClient = sinon.stub(client, 'close').callsFake(() => Promise.resolve());
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ client: client });
+
+      store.close(function(error) {
+        assert.ifError(error);
+        assert.ok(!closeClient.called);
+        done();
+      });
+    });
+
+    it('waits for the initial connection before closing the client', function() {
+      let rejectConnect;
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').
+        callsFake(() => new Promise((resolve, reject) => { rejectConnect = reject; }));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ watch: true });
+      const closeClient = sinon.stub(store.client, 'close').callsFake(() => Promise.resolve());
+      const errors = [];
+      store.on('error', error => errors.push(error));
+
+      const closePromise = store.close();
+      return new Promise(resolve => setImmediate(resolve)).
+        then(() => {
+          assert.ok(!closeClient.called);
+          rejectConnect(new Error('Topology closed'));
+          return closePromise;
+        }).
+        then(() => {
+          assert.ok(closeClient.calledOnce);
+          assert.deepStrictEqual(errors, []);
+        });
+    });
+
+    it('makes later calls fail', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore(() => {});
+      sinon.stub(store.client, 'close').callsFake(() => Promise.resolve());
+
+      return store.close().
+        then(() => store.get('1234')).
+        then(
+          () => assert.ok(false),
+          error => {
+            assert.equal(error.message, 'Cannot call get() after close()');
+            assert.throws(() => store.find({}), /after close/);
+          }
+        );
+    });
+  });
+
+  describe('watch', function() {
+    function fakeChangeStream() {
+      const changeStream = new ee();
+      changeStream.close = sinon.stub().callsFake(() => Promise.resolve());
+      return changeStream;
+    }
+
+    function connectedStore(options) {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      const changeStreams = [];
+      sinon.stub(mongodb.Collection.prototype, 'watch').callsFake(() => {
+        changeStreams.push(fakeChangeStream());
+        return changeStreams[changeStreams.length - 1];
+      });
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore(Object.assign({ watch: true }, options));
+      sinon.stub(store.client, 'close').callsFake(() => Promise.resolve());
+      return store.ready().then(() => ({ store, changeStreams }));
+    }
+
+    it('emits typed events for changes', function() {
+      return connectedStore({ watchPreImages: true }).then(({ store, changeStreams }) => {
+        const events = [];
+        store.on('session:set', id => events.push(['set', id]));
+        store.on('session:destroy', id => events.push(['destroy', id]));
+        store.on('session:expired', id => events.push(['expired', id]));
+
+        const changeStream = changeStreams[0];
+        changeStream.emit('change', { _id: 1, operationType: 'insert', documentKey: { _id: 'a' } });
+        changeStream.emit('change', { _id: 2, operationType: 'update', documentKey: { _id: 'a' } });
+        changeStream.emit('change', { _id: 3, operationType: 'delete', documentKey: { _id: 'a' } });
+        changeStream.emit('change', {
+          _id: 4,
+          operationType: 'delete',
+          documentKey: { _id: 'b' },
+          fullDocumentBeforeChange: { _id: 'b', expires: new Date('2011-06-01T00:00:00.000Z') }
+        });
+
+        assert.deepStrictEqual(events,
+          [['set', 'a'], ['set', 'a'], ['destroy', 'a'], ['expired', 'b']]);
+        const options = store.collection.watch.getCall(0).args[1];
+        assert.equal(options.fullDocumentBeforeChange, 'whenAvailable');
+        return store.close();
+      });
+    });
+
+    it('skips changes without an id for a custom idField', function() {
+      return connectedStore({ idField: 'sid', cacheSize: 10 }).then(({ store, changeStreams }) => {
+        const events = [];
+        store.on('session:set', id => events.push(['set', id]));
+        store.on('session:destroy', id => events.push(['destroy', id]));
+        store._cache.set('a', { session: {} }, new Date('2040-06-01T00:00:00.000Z'));
+
+        const changeStream = changeStreams[0];
+        changeStream.emit('change', { _id: 1, operationType: 'delete', documentKey: { _id: 'oid' } });
+        assert.deepStrictEqual(events, []);
+        assert.equal(store._cache.get('a'), null);
+
+        changeStream.emit('change', {
+          _id: 2,
+          operationType: 'insert',
+          documentKey: { _id: 'oid' },
+          fullDocument: { _id: 'oid', sid: 'b' }
+        });
+        assert.deepStrictEqual(events, [['set', 'b']]);
+        return store.close();
+      });
+    });
+
+    it('only requests pre-images with watchPreImages', function() {
+      return connectedStore().then(({ store }) => {
+        const options = store.collection.watch.getCall(0).args[1];
+        assert.ok(!('fullDocumentBeforeChange' in options));
+        return store.close();
+      });
+    });
+
+    it('invalidates the cache', function() {
+      return connectedStore({ cacheSize: 10 }).then(({ store, changeStreams }) => {
+        sinon.stub(store.collection, 'findOne').callsFake(() => {
+          return Promise.resolve({ _id: 'a', expires: new Date('2040-06-01T00:00:00.000Z'), session: {} });
+        });
+
+        return store.get('a').
+          then(() => {
+            changeStreams[0].emit('change', { _id: 1, operationType: 'delete', documentKey: { _id: 'a' } });
+            return store.get('a');
+          }).
+          then(() => {
+            assert.equal(store.collection.findOne.getCalls().length, 2);
+            return store.close();
+          });
+      });
+    });
+
+    it('resumes after errors', function() {
+      return connectedStore().then(({ store, changeStreams }) => {
+        changeStreams[0].emit('change', { _id: 'token', operationType: 'insert', documentKey: { _id: 'a' } });
+        changeStreams[0].emit('error', new mongodb.MongoNetworkError('network blip'));
+        assert.ok(changeStreams[0].close.calledOnce);
+
+        return new Promise(resolve => setTimeout(resolve, 150)).
+          then(() => {
+            assert.equal(changeStreams.length, 2);
+            const options = store.collection.watch.getCalls()[1].args[1];
+            assert.equal(options.resumeAfter, 'token');
+            return store.close();
+          }).
+          then(() => {
+            assert.ok(changeStreams[1].close.calledOnce);
+          });
+      });
+    });
+
+    it('stops after errors that are not resumable', function() {
+      return connectedStore().then(({ store, changeStreams }) => {
+        const errors = [];
+        store.on('error', error => errors.push(error.message));
+        const error = new mongodb.MongoServerError({ code: 40415, errmsg: 'unknown field' });
+        changeStreams[0].emit('error', error);
+
+        return new Promise(resolve => setTimeout(resolve, 150)).
+          then(() => {
+            assert.equal(changeStreams.length, 1);
+            assert.deepStrictEqual(errors, ['Error watching sessions: unknown field']);
+            return store.close();
+          });
+      });
+    });
+  });
+
+  describe('sweep()', function() {
+    function fakeFind(batches) {
+      return () => ({ toArray: () => Promise.resolve(batches.shift() || []) });
+    }
+
+    it('deletes expired sessions in batches', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ sweepBatchSize: 2 });
+      sinon.stub(store.collection, 'find').
+        callsFake(fakeFind([[{ _id: 'a' }, { _id: 'b' }], [{ _id: 'c' }]]));
+      sinon.stub(store.collection, 'deleteMany').
+        callsFake(query => Promise.resolve({ deletedCount: query._id.$in.length }));
+      const events = [];
+      store.on('sweep', stats => events.push(stats));
+
+      return store.sweep().then(stats => {
+        assert.equal(stats.deleted, 3);
+        assert.equal(stats.batches, 2);
+        assert.deepStrictEqual(events, [stats]);
+
+        const findArgs = store.collection.find.getCalls()[0].args;
+        assert.ok(findArgs[0].expires.$lte instanceof Date);
+        assert.deepStrictEqual(findArgs[1], { projection: { _id: 1 }, limit: 2 });
+        const deleteQuery = store.collection.deleteMany.getCalls()[0].args[0];
+        assert.deepStrictEqual(deleteQuery._id, { $in: ['a', 'b'] });
+        assert.ok(deleteQuery.expires.$lte instanceof Date);
+      });
+    });
+
+    it('reports driver errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore();
+      sinon.stub(store.collection, 'find').callsFake(() => ({
+        toArray: () => Promise.reject(new Error('sweep issue'))
+      }));
+
+      store.sweep(function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error sweeping expired sessions: sweep issue');
+        done();
+      });
+    });
+
+    it('runs every sweepInterval until close()', function() {
+      sinon.stub(mongodb.MongoClient.prototype, 'connect').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.MongoClient.prototype, 'close').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'createIndex').callsFake(() => Promise.resolve());
+      sinon.stub(mongodb.Collection.prototype, 'find').callsFake(fakeFind([]));
+
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+      var store = new SessionStore({ sweepInterval: 10 });
+      let sweeps = 0;
+      store.on('sweep', () => ++sweeps);
+
+      return store.ready().
+        then(() => new Promise(resolve => setTimeout(resolve, 55))).
+        then(() => store.close()).
+        then(() => {
+          assert.ok(sweeps >= 2);
+          const count = sweeps;
+          return new Promise(resolve => setTimeout(resolve, 30)).then(() => {
+            assert.equal(sweeps, count);
+          });
+        });
+    });
+  });
+
   describe('get()', function() {
     it('gets the session', function(done) {
       const SessionStore = connectMongoDBSession({ Store: StoreStub });
@@ -198,6 +2016,94 @@ describe('connectMongoDBSession', function() {
     });
   });
 
+  describe('cache', function() {
+    const future = new Date('2040-06-01T00:00:00.000Z');
+
+    it('serves repeated get() calls from memory', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ cacheSize: 10 });
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        return Promise.resolve({ _id: '1234', expires: future, session: { data: 1 } });
+      });
+
+      return session.get('1234').
+        then(res => {
+          // Callers get their own copy
+          res.data = 2;
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.deepStrictEqual(res, { data: 1 });
+          assert.equal(session.collection.findOne.getCalls().length, 1);
+        });
+    });
+
+    it('invalidates on set(), touch(), destroy() and clear()', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ cacheSize: 10 });
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        return Promise.resolve({ _id: '1234', expires: future, session: { data: 1 } });
+      });
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'deleteOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'deleteMany').callsFake(() => Promise.resolve());
+
+      return session.get('1234').
+        then(() => session.set('1234', { data: 1 })).
+        then(() => session.get('1234')).
+        then(() => session.touch('1234', { data: 1 })).
+        then(() => session.get('1234')).
+        then(() => session.destroy('1234')).
+        then(() => session.get('1234')).
+        then(() => session.clear()).
+        then(() => session.get('1234')).
+        then(() => {
+          assert.equal(session.collection.findOne.getCalls().length, 5);
+        });
+    });
+
+    it('evicts the least recently used session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ cacheSize: 2 });
+      sinon.stub(session.collection, 'findOne').callsFake(query => {
+        return Promise.resolve({ _id: query._id, expires: future, session: { id: query._id } });
+      });
+
+      return session.get('a').
+        then(() => session.get('b')).
+        then(() => session.get('a')).
+        then(() => session.get('c')).
+        then(() => session.get('a')).
+        then(() => {
+          assert.equal(session.collection.findOne.getCalls().length, 3);
+          return session.get('b');
+        }).
+        then(() => {
+          assert.equal(session.collection.findOne.getCalls().length, 4);
+        });
+    });
+
+    it('never serves sessions past their expiry', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ cacheSize: 10, cacheMaxAge: 60000 });
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        return Promise.resolve({ _id: '1234', expires: new Date(Date.now() + 20), session: { data: 1 } });
+      });
+      sinon.stub(session.collection, 'deleteOne').callsFake(() => Promise.resolve());
+
+      return session.get('1234').
+        then(() => new Promise(resolve => setTimeout(resolve, 30))).
+        then(() => session.get('1234')).
+        then(() => {
+          assert.equal(session.collection.findOne.getCalls().length, 2);
+        });
+    });
+  });
+
   describe('destroy()', function() {
     it('reports driver errors', function(done) {
       var SessionStore = connectMongoDBSession({ Store: StoreStub });
@@ -214,6 +2120,70 @@ describe('connectMongoDBSession', function() {
     });
   });
 
+  describe('destroyWhere()', function() {
+    it('rejects session paths with a secret', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ secret: 'test secret' });
+      sinon.stub(session.collection, 'deleteMany');
+
+      return session.destroyWhere({ 'passport.user': 'val' }).then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.code, 'INVALID_ARGUMENT');
+          assert.equal(error.message,
+            'destroyWhere() can only filter on session paths with serialize "bson" and no secret');
+          assert.ok(!session.collection.deleteMany.called);
+        }
+      );
+    });
+
+    it('deletes matching sessions and reports the count', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'deleteMany').
+        callsFake(() => Promise.resolve({ deletedCount: 3 }));
+
+      session.destroyWhere({ 'passport.user': 'val' }, function(error, count) {
+        assert.ifError(error);
+        assert.strictEqual(count, 3);
+        assert.deepStrictEqual(session.collection.deleteMany.getCalls()[0].args[0],
+          { 'session.passport.user': 'val' });
+        done();
+      });
+    });
+
+    it('refuses an empty filter', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'deleteMany').callsFake(() => Promise.resolve());
+
+      return session.destroyWhere({}).then(
+        () => assert.ok(false),
+        error => {
+          assert.ok(error.message.indexOf('non-empty filter') !== -1);
+          assert.ok(!session.collection.deleteMany.called);
+        }
+      );
+    });
+
+    it('reports driver errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'deleteMany').
+        callsFake(() => Promise.reject(new Error('delete issue')));
+
+      session.destroyWhere({ userId: 1 }, function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error destroying sessions: delete issue');
+        done();
+      });
+    });
+  });
+
   describe('set()', function() {
     it('converts expires to a date', function(done) {
       var SessionStore = connectMongoDBSession({ Store: StoreStub });
@@ -247,7 +2217,7 @@ describe('connectMongoDBSession', function() {
 
       session.set('1234', {}, function(error) {
         assert.ok(error);
-        assert.equal(error.message, 'Error setting 1234 to {}: taco tuesday');
+        assert.equal(error.message, 'Error setting 1234: taco tuesday');
         done();
       });
     });
@@ -301,6 +2271,531 @@ describe('connectMongoDBSession', function() {
     });
   });
 
+  describe('all()', function() {
+    it('returns unexpired session payloads', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'find').callsFake(() => fakeCursor([
+        { _id: '1234', session: { data: 1 }, expires: new Date('2040-06-01T00:00:00.000Z') },
+        { _id: '5678', session: { data: 2 }, expires: new Date('2040-06-01T00:00:00.000Z') }
+      ]));
+
+      session.all(function(error, sessions) {
+        assert.ifError(error);
+        assert.deepStrictEqual(sessions, [{ data: 1 }, { data: 2 }]);
+        const query = session.collection.find.getCalls()[0].args[0];
+        assert.ok(query.expires.$not.$lte instanceof Date);
+        done();
+      });
+    });
+
+    it('handles all() errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'find').callsFake(() => ({
+        map: () => ({ toArray: () => Promise.reject(new Error('cursor issue')) })
+      }));
+
+      session.all(function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error gathering sessions: cursor issue');
+        done();
+      });
+    });
+  });
+
+  describe('length()', function() {
+    it('counts unexpired sessions', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'countDocuments').callsFake(() => Promise.resolve(3));
+
+      session.length(function(error, length) {
+        assert.ifError(error);
+        assert.strictEqual(length, 3);
+        const query = session.collection.countDocuments.getCalls()[0].args[0];
+        assert.deepStrictEqual(Object.keys(query), ['expires']);
+        assert.ok(query.expires.$not.$lte instanceof Date);
+        done();
+      });
+    });
+
+    it('handles length() errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'countDocuments').
+        callsFake(() => Promise.reject(new Error('count issue')));
+
+      session.length(function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error counting sessions: count issue');
+        done();
+      });
+    });
+  });
+
+  describe('count()', function() {
+    it('rejects session paths with JSON serialization', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ serialize: 'json' });
+      sinon.stub(session.collection, 'countDocuments');
+
+      return session.count({ $or: [{ 'passport.user': 'val' }] }).then(
+        () => assert.ok(false),
+        error => {
+          assert.equal(error.code, 'INVALID_ARGUMENT');
+          assert.ok(!session.collection.countDocuments.called);
+        }
+      );
+    });
+
+    it('counts sessions matching a path in the session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'countDocuments').callsFake(() => Promise.resolve(2));
+
+      return session.count({ 'passport.user': 'val' }).then(count => {
+        assert.strictEqual(count, 2);
+        const query = session.collection.countDocuments.getCalls()[0].args[0];
+        assert.equal(query['session.passport.user'], 'val');
+        assert.ok(query.expires.$not.$lte instanceof Date);
+      });
+    });
+  });
+
+  describe('find()', function() {
+    it('throws on session paths with a secret', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ secret: 'test secret' });
+      sinon.stub(session.collection, 'find').callsFake(() => fakeCursor([]));
+
+      assert.throws(() => session.find({ userId: 42 }), /find\(\) can only filter on session paths/);
+      assert.throws(() => session.find({}, { projection: { userId: 1 } }), error => {
+        assert.equal(error.code, 'INVALID_ARGUMENT');
+        assert.equal(error.message,
+          'find() can only project session paths with serialize "bson" and no secret');
+        return true;
+      });
+      return session.find({}).toArray().then(entries => {
+        assert.deepStrictEqual(entries, []);
+      });
+    });
+
+    it('scopes filter and projection to the session', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ idField: 'sid' });
+      sinon.stub(session.collection, 'find').callsFake(() => fakeCursor([
+        { sid: '1234', session: { userId: 42 }, expires: new Date('2040-06-01T00:00:00.000Z') }
+      ]));
+
+      const filter = { userId: 42, $or: [{ role: 'admin' }, { 'cart.size': { $gt: 0 } }] };
+      const cursor = session.find(filter, { projection: { userId: 1 }, limit: 10 });
+      return cursor.toArray().then(entries => {
+        assert.deepStrictEqual(entries, [{
+          id: '1234',
+          session: { userId: 42 },
+          expires: new Date('2040-06-01T00:00:00.000Z')
+        }]);
+
+        const args = session.collection.find.getCalls()[0].args;
+        assert.equal(args[0]['session.userId'], 42);
+        assert.deepStrictEqual(args[0].$or,
+          [{ 'session.role': 'admin' }, { 'session.cart.size': { $gt: 0 } }]);
+        assert.ok(args[0].expires.$not.$lte instanceof Date);
+        assert.deepStrictEqual(args[1], {
+          projection: { 'session.userId': 1, sid: 1, expires: 1 },
+          limit: 10
+        });
+      });
+    });
+
+    it('does not add fields to exclusive projections', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'find').callsFake(() => fakeCursor([]));
+
+      session.find({}, { projection: { bigField: 0 } });
+      assert.deepStrictEqual(session.collection.find.getCalls()[0].args[1],
+        { projection: { 'session.bigField': 0 } });
+    });
+  });
+
+  describe('touch()', function() {
+    it('only updates the expires field', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+
+      var update = {
+        test: 1,
+        cookie: { expires: '2040-06-01T00:00:00.000Z' }
+      };
+      session.touch('1234', update, function(error) {
+        assert.ifError(error);
+        assert.ok(session.collection.updateOne.calledOnce);
+        const args = session.collection.updateOne.getCalls()[0].args;
+        assert.deepStrictEqual(args[0], { _id: '1234' });
+        assert.deepStrictEqual(Object.keys(args[1].$set), ['expires']);
+        assert.equal(args[1].$set.expires.getTime(),
+          new Date('2040-06-01T00:00:00.000Z').getTime());
+        assert.ok(!args[2] || !args[2].upsert);
+        done();
+      });
+    });
+
+    it('skips recently refreshed sessions with touchAfter', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ touchAfter: 60, expiresKey: 'exp' });
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+
+      var update = { cookie: { expires: '2040-06-01T00:01:00.000Z' } };
+      session.touch('1234', update, function(error) {
+        assert.ifError(error);
+        const args = session.collection.updateOne.getCalls()[0].args;
+        assert.equal(args[0]._id, '1234');
+        assert.equal(args[0].exp.$lt.getTime(),
+          new Date('2040-06-01T00:00:00.000Z').getTime());
+        assert.ok(args[1].$set.exp instanceof Date);
+        done();
+      });
+    });
+
+    it('reports driver errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore();
+      sinon.stub(session.collection, 'updateOne').
+        callsFake(() => Promise.reject(new Error('touch issue')));
+
+      session.touch('1234', {}, function(error) {
+        assert.ok(error);
+        assert.equal(error.message, 'Error touching 1234: touch issue');
+        done();
+      });
+    });
+  });
+
+  describe('partialUpdates', function() {
+    const future = new Date('2040-06-01T00:00:00.000Z');
+
+    it('only sends the keys that changed', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ partialUpdates: true });
+      sinon.stub(store.collection, 'findOne').callsFake(() => Promise.resolve({
+        _id: '1234',
+        __v: 3,
+        expires: future,
+        session: { cookie: { path: '/' }, cart: { a: 1 }, views: 1, draft: 'x' }
+      }));
+      sinon.stub(store.collection, 'updateOne').callsFake(() => Promise.resolve({ matchedCount: 1 }));
+
+      return store.get('1234').
+        then(sess => {
+          assert.equal(sess.__v, 3);
+          sess.views = 2;
+          sess.flash = 'hi';
+          delete sess.draft;
+          return store.set('1234', sess);
+        }).
+        then(() => {
+          const args = store.collection.updateOne.getCalls()[0].args;
+          assert.deepStrictEqual(args[0], { _id: '1234' });
+          assert.deepStrictEqual(Object.keys(args[1].$set).sort(),
+            ['expires', 'session.flash', 'session.views']);
+          assert.equal(args[1].$set['session.views'], 2);
+          assert.deepStrictEqual(args[1].$unset, { 'session.draft': '' });
+          assert.deepStrictEqual(args[1].$inc, { __v: 1 });
+          assert.deepStrictEqual(args[2], { upsert: false });
+        });
+    });
+
+    it('falls back to a full upsert if the session is gone', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ partialUpdates: true });
+      sinon.stub(store.collection, 'findOne').callsFake(() => Promise.resolve({
+        _id: '1234', expires: future, session: { views: 1 }
+      }));
+      sinon.stub(store.collection, 'updateOne').callsFake(() => Promise.resolve({ matchedCount: 0 }));
+
+      return store.get('1234').
+        then(sess => {
+          assert.strictEqual(sess.__v, 0);
+          sess.views = 2;
+          return store.set('1234', sess);
+        }).
+        then(() => {
+          const calls = store.collection.updateOne.getCalls();
+          assert.equal(calls.length, 2);
+          assert.deepStrictEqual(calls[1].args[1].$set.session, { views: 2 });
+          assert.deepStrictEqual(calls[1].args[2], { upsert: true });
+        });
+    });
+
+    it('requires bson serialization', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      assert.throws(() => new SessionStore({ partialUpdates: true, serialize: 'json' }),
+        /partialUpdates requires/);
+      assert.throws(() => new SessionStore({ partialUpdates: true, secret: 'shh' }),
+        /partialUpdates requires/);
+    });
+  });
+
+  describe('optimisticConcurrency', function() {
+    const future = new Date('2040-06-01T00:00:00.000Z');
+
+    it('reports a conflict if the stored version moved', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ optimisticConcurrency: true });
+      sinon.stub(store.collection, 'findOne').callsFake(() => Promise.resolve({
+        _id: '1234', __v: 3, expires: future, session: { views: 1 }
+      }));
+      sinon.stub(store.collection, 'updateOne').callsFake(() => Promise.resolve({ matchedCount: 0 }));
+      const conflicts = [];
+      store.on('conflict', id => conflicts.push(id));
+
+      return store.get('1234').
+        then(sess => store.set('1234', sess)).
+        then(
+          () => assert.ok(false),
+          error => {
+            assert.equal(error.message,
+              'Conflict setting 1234: session was modified since version 3');
+            assert.deepStrictEqual(conflicts, ['1234']);
+            const args = store.collection.updateOne.getCalls()[0].args;
+            assert.deepStrictEqual(args[0], { _id: '1234', __v: 3 });
+            assert.deepStrictEqual(args[1].$set.session, { views: 1 });
+            assert.equal(store.collection.updateOne.getCalls().length, 1);
+          }
+        );
+    });
+
+    it('can save the same session object twice', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ optimisticConcurrency: true });
+      sinon.stub(store.collection, 'findOne').callsFake(() => Promise.resolve({
+        _id: '1234', __v: 1, expires: future, session: { views: 1 }
+      }));
+      sinon.stub(store.collection, 'updateOne').callsFake(() => Promise.resolve({ matchedCount: 1 }));
+
+      let sess;
+      return store.get('1234').
+        then(res => {
+          sess = res;
+          return store.set('1234', sess);
+        }).
+        then(() => {
+          assert.equal(sess.__v, 2);
+          sess.views = 2;
+          return store.set('1234', sess);
+        }).
+        then(() => {
+          const calls = store.collection.updateOne.getCalls();
+          assert.deepStrictEqual(calls[0].args[0], { _id: '1234', __v: 1 });
+          assert.deepStrictEqual(calls[1].args[0], { _id: '1234', __v: 2 });
+          assert.equal(sess.__v, 3);
+        });
+    });
+
+    it('recreates sessions destroyed since get()', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var store = new SessionStore({ optimisticConcurrency: true });
+      const findOne = sinon.stub(store.collection, 'findOne');
+      findOne.onFirstCall().callsFake(() => Promise.resolve({
+        _id: '1234', expires: future, session: { views: 1 }
+      }));
+      findOne.callsFake(() => Promise.resolve(null));
+      sinon.stub(store.collection, 'updateOne').callsFake(() => Promise.resolve({ matchedCount: 0 }));
+
+      return store.get('1234').
+        then(sess => store.set('1234', sess)).
+        then(() => {
+          const calls = store.collection.updateOne.getCalls();
+          assert.deepStrictEqual(calls[0].args[0], { _id: '1234', __v: { $in: [null, 0] } });
+          assert.deepStrictEqual(calls[1].args[0], { _id: '1234' });
+          assert.deepStrictEqual(calls[1].args[2], { upsert: true });
+        });
+    });
+  });
+
+  describe('serialize', function() {
+    it('can store sessions as JSON strings', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ serialize: 'json' });
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        const stored = session.collection.updateOne.getCalls()[0].args[1].$set;
+        return Promise.resolve(Object.assign({}, stored, { expires: new Date('2040-06-01T00:00:00.000Z') }));
+      });
+
+      const data = { cookie: { test: 2 }, 'field.name': 'draft', $where: 1 };
+      return session.set('1234', data).
+        then(() => {
+          const stored = session.collection.updateOne.getCalls()[0].args[1].$set;
+          assert.equal(typeof stored.session, 'string');
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.deepStrictEqual(res, data);
+        });
+    });
+
+    it('supports custom serialize and unserialize', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({
+        serialize: sess => ({ big: sess.big.toString() }),
+        unserialize: stored => ({ big: BigInt(stored.big) })
+      });
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+      sinon.stub(session.collection, 'findOne').callsFake(() => {
+        return Promise.resolve({ session: { big: '42' } });
+      });
+
+      return session.set('1234', { big: BigInt(42) }).
+        then(() => {
+          assert.deepStrictEqual(session.collection.updateOne.getCalls()[0].args[1].$set.session,
+            { big: '42' });
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.strictEqual(res.big, BigInt(42));
+        });
+    });
+
+    it('reports serialize errors', function(done) {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ serialize: 'json' });
+      sinon.stub(session.collection, 'updateOne').callsFake(() => Promise.resolve());
+
+      session.set('1234', { big: BigInt(42) }, function(error) {
+        assert.ok(error);
+        assert.ok(error.message.startsWith('Error serializing 1234: '));
+        assert.ok(!session.collection.updateOne.called);
+        done();
+      });
+    });
+
+    it('requires unserialize with a custom serialize', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      assert.throws(() => new SessionStore({ serialize: JSON.stringify }),
+        /unserialize is required/);
+      assert.throws(() => new SessionStore({ serialize: 'xml' }),
+        /serialize must be a function/);
+    });
+  });
+
+  describe('secret', function() {
+    function storeRoundTrip(session) {
+      let stored = null;
+      sinon.stub(session.collection, 'updateOne').callsFake((filter, update) => {
+        stored = update.$set;
+        return Promise.resolve();
+      });
+      sinon.stub(session.collection, 'findOne').callsFake(filter => {
+        return Promise.resolve(stored && Object.assign({}, stored, filter));
+      });
+      return () => stored;
+    }
+
+    it('encrypts sessions but leaves id and expires in plaintext', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ secret: 'shh' });
+      const getStored = storeRoundTrip(session);
+
+      const data = { cookie: { expires: '2040-06-01T00:00:00.000Z' }, token: 'oauth' };
+      return session.set('1234', data).
+        then(() => {
+          const stored = getStored();
+          assert.equal(stored._id, '1234');
+          assert.ok(stored.expires instanceof Date);
+          assert.ok(stored.session instanceof mongodb.Binary);
+          assert.ok(stored.session.toString('utf8').indexOf('oauth') === -1);
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.deepStrictEqual(res, data);
+        });
+    });
+
+    it('decrypts with any key in the list', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var oldStore = new SessionStore({ secret: 'old' });
+      const getStored = storeRoundTrip(oldStore);
+      var newStore = new SessionStore({ secret: ['new', 'old'] });
+      sinon.stub(newStore.collection, 'findOne').callsFake(() => Promise.resolve(getStored()));
+
+      return oldStore.set('1234', { test: 1 }).
+        then(() => newStore.get('1234')).
+        then(res => {
+          assert.deepStrictEqual(res, { test: 1 });
+        });
+    });
+
+    it('treats undecryptable sessions as missing', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ secret: 'shh' });
+      const getStored = storeRoundTrip(session);
+      const errors = [];
+      session.on('decryptionError', (error, id) => errors.push(id));
+
+      return session.set('1234', { test: 1 }).
+        then(() => {
+          // Tamper with the ciphertext
+          const buf = getStored().session.buffer;
+          buf[buf.length - 1] ^= 1;
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.strictEqual(res, undefined);
+          getStored().session = { test: 1 };
+          return session.get('1234');
+        }).
+        then(res => {
+          assert.strictEqual(res, undefined);
+          assert.deepStrictEqual(errors, ['1234', '1234']);
+        });
+    });
+
+    it('binds the payload to the session id', function() {
+      var SessionStore = connectMongoDBSession({ Store: StoreStub });
+
+      var session = new SessionStore({ secret: 'shh' });
+      const getStored = storeRoundTrip(session);
+      let errors = 0;
+      session.on('decryptionError', () => ++errors);
+
+      return session.set('1234', { test: 1 }).
+        then(() => session.get('5678')).
+        then(res => {
+          assert.strictEqual(res, undefined);
+          assert.equal(errors, 1);
+        });
+    });
+  });
+
   describe('clear()', function() {
     it('clears the session store', function(done) {
       var SessionStore = connectMongoDBSession({ Store: StoreStub });
@@ -331,3 +2826,9 @@ describe('connectMongoDBSession', function() {
     });
   });
 });
+
+function fakeCursor(docs) {
+  return {
+    map: fn => ({ toArray: () => Promise.resolve(docs.map(fn)) })
+  };
+}